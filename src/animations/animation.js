@@ -1,7 +1,8 @@
 /**
  * Creates new animation
  * @param {Item} item Object to animate
- * @param {Object} transform
+ * @param {Object} transform Values, optional duration, delay, ease,
+ * rotation ('euler' or 'shortest') and mode ('to', 'by' or 'from')
  * @param {number} duration
  * @param {string} ease Timing function
  * @param {number} delay
@@ -17,48 +18,83 @@ function Animation(item, transform, duration, ease, delay) {
 
 	this.duration = (transform.duration || duration) | 0
 	this.delay = (transform.delay || delay) | 0
+	this.timing = {duration: this.duration, delay: this.delay}
 	ease = transform.ease || ease
 	this.ease = easings[ease] || easings.linear
 	this.easeName = transform.ease || ease || 'linear'
 }
 
-Animation.skip = {duration: null, delay: null, ease: null}
-Animation.transform = {translate: null, rotate: null, scale: null}
+Animation.skip = {duration: null, delay: null, ease: null, rotation: null, mode: null, autoRotate: null}
+Animation.transform = {translate: null, rotate: null, scale: null, skew: null, perspective: null}
 
 Animation.getState = function (transform, item) {
-	var initial = {},
-		computed
-		
+	var initial = {}
+
+	Animation.readState(item, transform)
+
 	for (var property in transform) {
 		if (property in Animation.skip) continue
-		if (transform.hasOwnProperty(property)) {
-			if (item.get(property) == null) {
-				if (!computed) {
-					computed = getComputedStyle(item.dom, null)
-				}
-				Animation.setItemState(item, property, computed)
-			}
-			initial[property] = new Tween(item.get(property), transform[property], property)
+		if (property === 'path') {
+			initial.path = new MotionPath(item, transform)
+		} else if (transform.hasOwnProperty(property)) {
+			initial[property] = new Tween(item.get(property), transform[property], property, transform, item)
 		}
 	}
 	return initial
 }
 
+/**
+ * Reads computed values or target values for properties missing in item state
+ * @param {Item} item
+ * @param {Object} transform
+ */
+Animation.readState = function (item, transform) {
+	var computed
+
+	for (var property in transform) {
+		if (property in Animation.skip || !transform.hasOwnProperty(property)) continue
+
+		var key = property === 'path' ? 'translate' : property // motion path moves item
+		if (item.get(key) == null) {
+			if (item.target) {
+				item.target.read(item, key)
+				continue
+			}
+			if (!computed) {
+				computed = getComputedStyle(item.dom, null)
+			}
+			Animation.setItemState(item, key, computed)
+		}
+	}
+}
+
+/**
+ * Gets identity transform state
+ * @return {Object}
+ */
+Animation.defaults = function () {
+	return {
+		translate: Vector.zero(),
+		rotate: Vector.zero(),
+		scale: Vector.set(1),
+		skew: [0, 0],
+		perspective: 0
+	}
+}
+
 Animation.setItemState = function (item, property, computed) {
 	if (property in Animation.transform) {
 		var value = computed[transformProperty]
-		if (value === 'none') {
-			value = {
-				translate: Vector.zero(),
-				rotate: Vector.zero(),
-				scale: Vector.set(1)
-			}
+		if (!value || value === 'none') { // detached nodes have no computed style
+			value = Animation.defaults()
 		} else {
 			value = Matrix.decompose(Matrix.parse(value))
 		}
-		item.set('translate', value.translate)
-		item.set('rotate', value.rotate)
-		item.set('scale', value.scale)
+		for (var key in Animation.transform) {
+			item.set(key, value[key])
+		}
+	} else if (property === 'origin') {
+		item.set('origin', Tween.parseNumeric(computed[transformOriginProperty]))
 	} else {
 		item.set(property, computed[property])
 	}
@@ -77,6 +113,31 @@ Animation.prototype.init = function (tick, seek) {
 	this.start = tick + this.delay
 }
 
+/**
+ * Applies motion policy to the original timing
+ * reduce skips motion to the end state, none skips everything
+ * @param {string} motion
+ */
+Animation.prototype.reduce = function (motion) {
+	var timing = this.timing,
+	    delay = motion === 'none' ? 0 : timing.delay
+
+	this.start !== null && (this.start += delay - this.delay) // keeps running animation init time
+	this.delay = delay
+	this.duration = motion === 'none' || motion === 'reduce' && this.moves() ? 0 : timing.duration
+}
+
+/**
+ * Checks if animation changes transform
+ * @return {boolean}
+ */
+Animation.prototype.moves = function () {
+	for (var property in this.transformation) {
+		if (property in Animation.transform || property === 'path') return true
+	}
+	return false
+}
+
 /**
  * Merges animation values
  * @param {Object} transform
@@ -87,6 +148,7 @@ Animation.prototype.init = function (tick, seek) {
 Animation.prototype.merge = function (transform, duration, ease, delay) {
 	this.duration = (transform.duration || duration) | 0
 	this.delay = (transform.delay || delay) | 0
+	this.timing = {duration: this.duration, delay: this.delay}
 	ease = transform.ease || ease
 	this.ease = easings[ease] || easings.linear
 	this.easeName = transform.ease || ease || 'linear'
@@ -94,6 +156,8 @@ Animation.prototype.merge = function (transform, duration, ease, delay) {
 	merge(this.transformation, transform)
 
 	this.start = null
+	this.item.measured = false
+	this.item.seeked = null
 }
 
 /**
@@ -123,16 +187,20 @@ Animation.prototype.run = function (tick, seek) {
 
 /**
  * Pauses animation
+ * @param {number=} time Defaults to performance.now()
  */
-Animation.prototype.pause = function () {
-	this.diff = performance.now() - this.start
+Animation.prototype.pause = function (time) {
+	time === undefined && (time = performance.now())
+	this.diff = time - this.start
 }
 
 /**
  * Resumes animation
+ * @param {number=} time Defaults to performance.now()
  */
-Animation.prototype.resume = function () {
-	this.start = performance.now() - this.diff
+Animation.prototype.resume = function (time) {
+	time === undefined && (time = performance.now())
+	this.start = time - this.diff
 }
 
 Animation.prototype.interpolate = function (property, percent) {
@@ -145,6 +213,10 @@ Animation.prototype.interpolate = function (property, percent) {
  */
 Animation.prototype.transform = function (percent) {
 	for (var property in this.state) {
+		if (property === 'path') { // sets translate and rotate itself
+			this.interpolate(property, percent)
+			continue
+		}
 		this.item.set(property, this.interpolate(property, percent))
 	}
 }
@@ -155,6 +227,9 @@ Animation.prototype.transform = function (percent) {
  * @param {boolean} seek Is used in seek mode
  */
 Animation.prototype.end = function (abort, seek) {
-	!abort && this.transform(this.ease(1))
+	if (!abort) {
+		this.state || (this.state = Animation.getState(this.transformation, this.item))
+		this.transform(this.ease(1))
+	}
 	!seek && (this.start = null)
 }
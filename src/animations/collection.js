@@ -13,6 +13,9 @@ function Collection(item) {
 	this.ease = easings.linear
 	this.easeName = 'linear'
 	this.animations = []
+
+	this._finished = null
+	this._resolve = null
 }
 
 Collection.prototype = Object.create(EventEmitter.prototype)
@@ -36,18 +39,10 @@ Collection.prototype.add = function (transform, duration, ease, delay, generated
 	}
 
 	this.animations.push(transform)
+	this.item.measured = false
+	this.item.seeked = null
 
-	duration = this.animations.map(function (a) {
-		return a.duration + a.delay
-	})
-
-	if (this instanceof Parallel) {
-		this.duration = Math.max.apply(null, duration)
-	} else {
-		this.duration = duration.reduce(function (a, b) {
-			return a + b
-		}, 0)
-	}
+	this.measure()
 
 	return this
 
@@ -76,6 +71,23 @@ Collection.prototype.add = function (transform, duration, ease, delay, generated
 	}
 }
 
+/**
+ * Calculates collection duration from its animations
+ */
+Collection.prototype.measure = function () {
+	var duration = this.animations.map(function (a) {
+		return a.duration + a.delay
+	})
+
+	if (this instanceof Parallel) {
+		this.duration = Math.max.apply(null, duration.concat(0))
+	} else {
+		this.duration = duration.reduce(function (a, b) {
+			return a + b
+		}, 0)
+	}
+}
+
 /**
  * Collection length
  */
@@ -85,6 +97,47 @@ Object.defineProperty(Collection.prototype, 'length', {
 	}
 });
 
+/**
+ * Promise resolved with {aborted: boolean} when collection ends
+ * @type {Promise}
+ */
+Object.defineProperty(Collection.prototype, 'finished', {
+	get: function () {
+		if (!this._finished) {
+			if (!this.animations.length) {
+				return Promise.resolve({aborted: false})
+			}
+			var self = this
+			this._finished = new Promise(function (resolve) {
+				self._resolve = resolve
+			})
+		}
+		return this._finished
+	}
+});
+
+/**
+ * Makes collection thenable, so it can be awaited
+ * @param {Function=} resolve
+ * @param {Function=} reject
+ * @returns {Promise}
+ */
+Collection.prototype.then = function (resolve, reject) {
+	return this.finished.then(resolve, reject)
+}
+
+/**
+ * Resolves finished promise
+ * @param {boolean=} abort
+ */
+Collection.prototype.settle = function (abort) {
+	var resolve = this._resolve
+
+	this._finished = null
+	this._resolve = null
+	resolve && resolve({aborted: !!abort})
+}
+
 /**
  * Get element by index
  * @param {number} index
@@ -101,6 +154,17 @@ Collection.prototype.empty = function () {
 	this.animations = []
 }
 
+/**
+ * Applies motion policy to all animations
+ * @param {string} motion
+ */
+Collection.prototype.reduce = function (motion) {
+	for (var i = 0; i < this.animations.length; ++i) {
+		this.animations[i].reduce(motion)
+	}
+	this.measure()
+}
+
 /**
  * Add animation to collection
  * chainable
@@ -18,6 +18,7 @@ function CssAnimation(item, animation, duration, ease, delay, generated) {
 
 	this.duration = (animation.duration || duration) | 0
 	this.delay = (animation.delay || delay) | 0
+	this.timing = {duration: this.duration, delay: this.delay}
 	this.ease = easings.css[animation.ease] || easings.css[ease] || easings.css.linear
 
 	this._infinite = false
@@ -38,6 +39,19 @@ CssAnimation.prototype.init = function (tick, force) {
 		this.delay + 'ms' + (this._infinite ? ' infinite' : '') + ' ' + 'forwards')
 }
 
+/**
+ * Applies motion policy, CSS animations are skipped if motion is not full
+ * @param {string} motion
+ */
+CssAnimation.prototype.reduce = function (motion) {
+	var full = motion === 'full',
+	    delay = full ? this.timing.delay : 0
+
+	this.start !== null && (this.start += delay - this.delay)
+	this.delay = delay
+	this.duration = full ? this.timing.duration : 0
+}
+
 /**
  * Runs one tick of animation
  */
@@ -46,18 +60,22 @@ CssAnimation.prototype.run = function () {
 
 /**
  * Pauses animation
+ * @param {number=} time Defaults to performance.now()
  */
-CssAnimation.prototype.pause = function () {
+CssAnimation.prototype.pause = function (time) {
+	time === undefined && (time = performance.now())
 	this.item.style(animationProperty + '-play-state', 'paused')
-	this.diff = performance.now() - this.start
+	this.diff = time - this.start
 }
 
 /**
  * Resumes animation
+ * @param {number=} time Defaults to performance.now()
  */
-CssAnimation.prototype.resume = function () {
+CssAnimation.prototype.resume = function (time) {
+	time === undefined && (time = performance.now())
 	this.item.style(animationProperty + '-play-state', 'running')
-	this.start = performance.now() - this.diff
+	this.start = time - this.diff
 }
 
 /**
@@ -0,0 +1,163 @@
+/**
+ * Creates motion along a path with uniform speed
+ * @param {Item} item
+ * @param {Object} transform path (SVG path element, d string or bezier points),
+ * optional autoRotate (true or angle offset) and mode ('to' or 'by')
+ * @constructor
+ */
+function MotionPath(item, transform) {
+	this.item = item
+	this.autoRotate = transform.autoRotate
+	this.offset = transform.mode === 'by' ? item.get('translate').slice() : [0, 0]
+
+	this.curves = MotionPath.curves(transform.path)
+	this.lengths = []
+	this.samples = []
+	this.length = 0
+
+	this.measure()
+}
+
+/**
+ * Samples per curve for arc length table
+ * @type {number}
+ */
+MotionPath.samples = 24
+
+/**
+ * Gets cubic curves [x0, y0, x1, y1, x2, y2, x3, y3] of the path
+ * @param {SVGPathElement|string|Array} path Element, d string or bezier points [[x, y], ...]
+ * @return {Array}
+ */
+MotionPath.curves = function (path) {
+	var curves = [],
+	    subpaths
+
+	if (Array.isArray(path)) {
+		var points = path.reduce(function (points, point) {
+			return points.concat(point[0], point[1])
+		}, [])
+
+		if ((path.length - 1) % 3) { // not a bezier chain, points are joined by lines
+			var d = 'M' + points.slice(0, 2).join(' ') + 'L' + points.slice(2).join(' ')
+			subpaths = Path.parse(d)
+		} else {
+			subpaths = [{points: points}]
+		}
+	} else {
+		subpaths = Path.parse(typeof path === 'string' ? path : path.getAttribute('d'))
+	}
+
+	subpaths.forEach(function (subpath) {
+		for (var i = 0; i + 8 <= subpath.points.length; i += 6) {
+			curves.push(subpath.points.slice(i, i + 8))
+		}
+	})
+
+	return curves
+}
+
+/**
+ * Point on cubic curve
+ * @param {Array} c
+ * @param {number} t
+ * @return {Array}
+ */
+MotionPath.point = function (c, t) {
+	var u = 1 - t,
+	    a = u * u * u,
+	    b = 3 * u * u * t,
+	    d = 3 * u * t * t,
+	    e = t * t * t
+
+	return [
+		a * c[0] + b * c[2] + d * c[4] + e * c[6],
+		a * c[1] + b * c[3] + d * c[5] + e * c[7]
+	]
+}
+
+/**
+ * Tangent of cubic curve
+ * @param {Array} c
+ * @param {number} t
+ * @return {Array}
+ */
+MotionPath.tangent = function (c, t) {
+	var u = 1 - t,
+	    a = 3 * u * u,
+	    b = 6 * u * t,
+	    d = 3 * t * t
+
+	return [
+		a * (c[2] - c[0]) + b * (c[4] - c[2]) + d * (c[6] - c[4]),
+		a * (c[3] - c[1]) + b * (c[5] - c[3]) + d * (c[7] - c[5])
+	]
+}
+
+/**
+ * Builds arc length table
+ */
+MotionPath.prototype.measure = function () {
+	var length = 0
+
+	for (var i = 0; i < this.curves.length; ++i) {
+		var previous = MotionPath.point(this.curves[i], 0)
+
+		for (var j = 1; j <= MotionPath.samples; ++j) {
+			var t = j / MotionPath.samples,
+			    point = MotionPath.point(this.curves[i], t)
+
+			length += Math.sqrt(Math.pow(point[0] - previous[0], 2) + Math.pow(point[1] - previous[1], 2))
+			this.lengths.push(length)
+			this.samples.push(i + t)
+			previous = point
+		}
+	}
+
+	this.length = length
+}
+
+/**
+ * Finds curve and its parameter at distance
+ * @param {number} distance
+ * @return {Array} [curve index, t]
+ */
+MotionPath.prototype.find = function (distance) {
+	var lengths = this.lengths,
+	    low = 0,
+	    high = lengths.length - 1
+
+	while (low < high) {
+		var middle = (low + high) >> 1
+		lengths[middle] < distance ? low = middle + 1 : high = middle
+	}
+
+	var before = low ? lengths[low - 1] : 0,
+	    from = low ? this.samples[low - 1] : 0,
+	    span = lengths[low] - before,
+	    position = from + (this.samples[low] - from) * (span ? (distance - before) / span : 0),
+	    index = Math.min(Math.floor(position), this.curves.length - 1)
+
+	return [index, position - index]
+}
+
+/**
+ * Moves item to the path point
+ * @param {number} percent
+ */
+MotionPath.prototype.interpolate = function (percent) {
+	if (!this.curves.length) return
+
+	var found = this.find(Math.max(0, Math.min(1, percent)) * this.length),
+	    curve = this.curves[found[0]],
+	    point = MotionPath.point(curve, found[1])
+
+	this.item.set('translate', [point[0] + this.offset[0], point[1] + this.offset[1]])
+
+	if (this.autoRotate || this.autoRotate === 0) {
+		var tangent = MotionPath.tangent(curve, found[1]),
+		    angle = Math.atan2(tangent[1], tangent[0]) / radians
+
+		this.item.set('rotate', [undefined, undefined, angle + (this.autoRotate === true ? 0 : +this.autoRotate)])
+	}
+}
@@ -5,6 +5,8 @@
  */
 function Parallel(item) {
 	Collection.call(this, item)
+
+	this._animations = null
 }
 
 Parallel.prototype = Object.create(Collection.prototype)
@@ -46,13 +48,13 @@ Parallel.prototype.run = function (tick) {
 	for (var i = 0; i < this.animations.length; ++i) {
 		var a = this.animations[i]
 		if (a.start + a.duration <= tick) {
+			this._animations || (this._animations = this.animations.slice())
 			this.animations.splice(i--, 1)
 			a.end()
 			continue
 		}
 		a.run(tick)
 	}
-	this.item.style()
 
 	if (!this.animations.length) {
 		this.end()
@@ -69,24 +71,41 @@ Parallel.prototype.seek = function (tick) {
 
 /**
  * Pauses animations
+ * @param {number=} time
  */
-Parallel.prototype.pause = function () {
-	this.all('pause')
+Parallel.prototype.pause = function (time) {
+	this.all('pause', time)
 }
 
 /**
  * Resumes animations
+ * @param {number=} time
  */
-Parallel.prototype.resume = function () {
-	this.all('resume')
+Parallel.prototype.resume = function (time) {
+	this.all('resume', time)
 }
 
 /**
  * Ends all animations in a set
  * @param {boolean} abort
+ * @param {boolean=} seek Ended by timeline seek
  * @fires Parallel#end
  */
-Parallel.prototype.end = function (abort) {
-	this.all('end', abort)
+Parallel.prototype.end = function (abort, seek) {
+	this.all('end', abort, seek)
 	this.emit('end')
+	if (!seek) {
+		this.reset()
+		this.settle(abort)
+	}
+}
+
+/**
+ * Restores animations ended while running,
+ * so the set runs again in infinite sequence
+ */
+Parallel.prototype.reset = function () {
+	this._animations && (this.animations = this._animations)
+	this._animations = null
+	this.start = null
 }
@@ -7,6 +7,8 @@ function Sequence(item) {
 	Collection.call(this, item)
 
 	this._infinite = false
+	this._index = 0
+	this._held = false
 }
 
 Sequence.prototype = Object.create(Collection.prototype)
@@ -33,21 +35,37 @@ Sequence.prototype.init = function (tick, force) {
 Sequence.prototype.run = function (tick, a) {
 	if (!this.animations.length) return
 
+	var motion = this.item.motion(),
+	    infinite = this._infinite && motion === 'full'
+
+	if (this._held) { // reduced loop waits at the end of the cycle
+		if (!infinite) return
+		this._held = false
+	}
+
 	while (this.animations.length !== 0) {
 		a = this.animations[0]
 		if (a instanceof CssAnimation) {
-			a._infinite = this._infinite
+			a._infinite = infinite
 		}
+		a.start === null && a.reduce(motion)
 		a.init(tick)
 		if (a.start + a.duration <= tick) {
-			if (!(this._infinite && a instanceof CssAnimation)) {
+			if (!(infinite && a instanceof CssAnimation)) {
 				this.animations.shift()
 				a.end()
 			} else {
 				break
 			}
-			if (this._infinite && !(a instanceof CssAnimation)) {
+			if (this._infinite) {
 				this.animations.push(a)
+				this._index = (this._index + 1) % this.animations.length
+				if (!infinite && this._index === 0) { // loop is kept till motion is full again
+					this._held = true
+					this.emit('end')
+					this.settle()
+					return
+				}
 			}
 			continue
 		}
@@ -55,10 +73,6 @@ Sequence.prototype.run = function (tick, a) {
 		break
 	}
 
-	if (!(a instanceof CssAnimation)) {
-		this.item.style()
-	}
-
 	if (!this.animations.length) {
 		this.end()
 	}
@@ -83,7 +97,6 @@ Sequence.prototype.seek = function (tick) {
 		}
 		break
 	}
-	this.item.style()
 }
 
 /**
@@ -97,16 +110,18 @@ Sequence.prototype.infinite = function () {
 
 /**
  * Pauses animations
+ * @param {number=} time
  */
-Sequence.prototype.pause = function () {
-	this.animations.length && this.animations[0].pause()
+Sequence.prototype.pause = function (time) {
+	this.animations.length && this.animations[0].pause(time)
 }
 
 /**
  * Resumes animations
+ * @param {number=} time
  */
-Sequence.prototype.resume = function () {
-	this.animations.length && this.animations[0].resume()
+Sequence.prototype.resume = function (time) {
+	this.animations.length && this.animations[0].resume(time)
 }
 
 /**
@@ -120,5 +135,8 @@ Sequence.prototype.end = function (abort) {
 	}
 	this.animations = []
 	this._infinite = false
+	this._index = 0
+	this._held = false
 	this.emit('end')
+	this.settle(abort)
 }
@@ -1,20 +1,97 @@
-function Tween(start, end, property) {
-	var type = Tween.propTypes[property] || Tween.NUMERIC
-	this.type = type
+function Tween(start, end, property, options, item) {
+	options || (options = {})
 
-	this.start = Tween.parseValue(start, type)
-	this.end = Tween.parseValue(end, type)
-	
+	var type = property === 'rotate' && options.rotation === 'shortest'
+		? Tween.QUATERNION
+		: Tween.propTypes[property] || Tween.NUMERIC
+	this.type = type
 	this.suffix = Tween.px.indexOf(property) !== -1 ? 'px' : ''
+
+	var mode = options.mode || Tween.modes[property],
+	    node = item && item.dom && item.dom.nodeType === 1 ? item.dom : null
+
+	if (property in Animation.transform || property === 'origin') { // state is in px and deg
+		if (property !== 'perspective') {
+			Tween.isSingle(end) && !mode && (mode = 'to')
+			end = Tween.vector(end, property)
+		}
+		end = Units.convert(end, property, node)
+	} else if (type === Tween.NUMERIC) {
+		var units = Units.match(start, end, property, node, this.suffix)
+		if (units.calc) { // units can't be converted, so browser mixes them
+			this.type = Tween.CALC
+			this.start = units.start
+			this.end = units.end
+			return
+		}
+		start = units.start
+		end = units.end
+		this.suffix = units.unit
+	} else if (type === Tween.COLOR && !Tween.isColor(start, end)) { // keywords like none are swapped
+		type = this.type = Tween.DISCRETE
+	}
+
+	start = Tween.parseValue(start, type)
+
+	if (Tween.isRange(end)) { // {from, to} or {from, by}
+		var from = end.from !== undefined ? Tween.resolve(start, end.from, 'to', type) : undefined
+		from = Tween.merge(start, from)
+		if (end.to !== undefined) {
+			end = Tween.resolve(from, end.to, 'to', type)
+		} else if (end.by !== undefined) {
+			end = Tween.resolve(from, end.by, 'by', type)
+		} else {
+			end = Tween.touched(start, from)
+		}
+		start = from
+	} else if (mode === 'from') {
+		var from = Tween.merge(start, Tween.resolve(start, end, 'to', type))
+		end = Tween.touched(start, from)
+		start = from
+	} else {
+		end = Tween.resolve(start, end, mode, type)
+	}
+
+	this.start = start
+	this.end = end
+
+	if (type === Tween.QUATERNION) {
+		this.target = Tween.merge(this.start, this.end)
+		this.from = Quaternion.fromEuler(this.start)
+		this.to = Quaternion.fromEuler(this.target)
+	} else if (type === Tween.PATH) { // paths need the same curves to be interpolated
+		var matched = Path.match(this.start.path, this.end.path)
+		this.from = matched[0]
+		this.to = matched[1]
+	}
 }
 
 Tween.NUMERIC = 'NUMERIC'
 Tween.COLOR = 'COLOR'
+Tween.PERSPECTIVE = 'PERSPECTIVE'
+Tween.QUATERNION = 'QUATERNION'
+Tween.PATH = 'PATH'
+Tween.CALC = 'CALC'
+Tween.DISCRETE = 'DISCRETE'
 
 Tween.propTypes = {
 	color: Tween.COLOR,
 	backgroundColor: Tween.COLOR,
-	borderColor: Tween.COLOR
+	borderColor: Tween.COLOR,
+	fill: Tween.COLOR,
+	stroke: Tween.COLOR,
+	stopColor: Tween.COLOR,
+	perspective: Tween.PERSPECTIVE,
+	d: Tween.PATH
+}
+
+Tween.modes = { // default modes of array properties which are not relative
+	viewBox: 'to'
+}
+
+Tween.axes = { // axes set by a single value of vector property, x by default
+	rotate: [2],
+	scale: [0, 1]
 }
 
 Tween.px = '\
@@ -25,24 +102,139 @@ width,height,maxWidth,maxHeight,minWidth,minHeight,\
 borderRadius,borderWidth'.split(',')
 
 Tween.parseValue = function (value, type) {
+	if (type === Tween.DISCRETE) return value
+	if (type === Tween.PATH) return Tween.parsePath(value)
 	return type === Tween.COLOR ? Tween.parseColor(value) : Tween.parseNumeric(value)
 }
 
+Tween.isRange = function (value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+Tween.isColor = function (start, end) { // all colors of tween can be parsed
+	var values = Tween.isRange(end) ? [start, end.from, end.to] : [start, end]
+	return values.every(function (value) {
+		return value === undefined || !!Tween.parseColor(value)
+	})
+}
+
+Tween.isSingle = function (value) {
+	return !Array.isArray(value) && !Tween.isRange(value) && String(value).trim().split(/\s+/).length === 1
+}
+
+Tween.vector = function (value, property) { // spreads single value to the axes of vector property
+	if (Tween.isRange(value)) {
+		var range = {}
+		for (var key in value) {
+			range[key] = Tween.vector(value[key], property)
+		}
+		return range
+	}
+	if (!Tween.isSingle(value) || value === undefined) return value
+
+	var axes = Tween.axes[property] || [0],
+	    vector = []
+
+	for (var i = 0; i <= axes[axes.length - 1]; ++i) {
+		vector[i] = axes.indexOf(i) !== -1 ? value : undefined
+	}
+	return vector
+}
+
+Tween.resolve = function (start, value, mode, type) { // gets absolute end value, undefined if it's untouched
+	if (type === Tween.COLOR || type === Tween.PATH || type === Tween.DISCRETE) {
+		return Tween.parseValue(value, type)
+	}
+
+	if (!Array.isArray(value)) {
+		value = String(value).trim().split(/\s+/)
+		if (value.length === 1) {
+			value = value[0]
+		}
+	}
+
+	if (!mode) { // arrays are relative, single values are absolute
+		mode = Array.isArray(value) ? 'by' : 'to'
+	}
+
+	if (Array.isArray(value)) {
+		start = [].concat(start)
+		return value.map(function (v, i) {
+			if (mode === 'by' && Number(v) === 0) return // leaves value to other animations
+			return Tween.resolveNumeric(start[i] || 0, v, mode)
+		})
+	}
+
+	return Tween.resolveNumeric(start, value, mode)
+}
+
+Tween.resolveNumeric = function (start, value, mode) {
+	if (value === undefined || value === null || value === '') return
+
+	var operator = String(value).match(/^([+\-*])=(.+)$/)
+	if (operator) {
+		value = parseFloat(operator[2])
+		if (operator[1] === '*') {
+			return start * value
+		}
+		return start + (operator[1] === '-' ? -value : value)
+	}
+
+	value = parseFloat(value)
+	return mode === 'by' ? start + value : value
+}
+
+Tween.merge = function (start, value) { // replaces start values with defined ones
+	if (value === undefined) return start
+	if (!Array.isArray(start)) return value
+
+	var merged = start.slice()
+	for (var i = 0; i < value.length; ++i) {
+		if (value[i] !== undefined) {
+			merged[i] = value[i]
+		}
+	}
+	return merged
+}
+
+Tween.touched = function (start, from) { // end values for the properties changed by from
+	if (!Array.isArray(start)) return start
+
+	return from.map(function (v, i) {
+		return v !== start[i] ? start[i] : undefined
+	})
+}
+
 Tween.parseNumeric = function (numeric) {
 	if (!Array.isArray(numeric)) {
-		numeric = String(numeric).split(/\s+/)
+		numeric = String(numeric).trim().split(/\s+/)
+		if (numeric.length === 1) {
+			return parseFloat(numeric[0])
+		}
 	}
-	return Array.isArray(numeric) ? numeric.map(parseFloat) : Number(numeric)
+	return numeric.map(parseFloat)
+}
+
+Tween.parsePath = function (d) { // wrapped, so it is not merged like arrays
+	return {path: Path.parse(d)}
 }
 
 Tween.parseColor = function (color) {
-	var hex = color.match(/^#([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i)
+	color = String(color).trim()
+
+	var hex = color.match(/^#([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i)
 	if (hex) {
+		hex = hex[1]
+		var size = hex.length > 4 ? 2 : 1,
+		    channel = function (i) {
+			    var value = hex.substr(i * size, size)
+			    return parseInt(size === 1 ? value + value : value, 16)
+		    }
 		return {
-			r: parseInt(hex[1], 16),
-			g: parseInt(hex[2], 16),
-			b: parseInt(hex[3], 16),
-			a: 1
+			r: channel(0),
+			g: channel(1),
+			b: channel(2),
+			a: hex.length % 4 ? 1 : channel(3) / 255
 		}
 	}
 
@@ -55,6 +247,26 @@ Tween.parseColor = function (color) {
 			a: parseFloat(rgb[4] != null ? rgb[4] : 1)
 		}
 	}
+
+	if (color.toLowerCase() === 'transparent') return {r: 0, g: 0, b: 0, a: 0}
+
+	var named = Tween.namedColor(color)
+	return named && Tween.parseColor(named)
+}
+
+Tween.namedColor = function (color) { // canvas resolves keywords like red to hex, others are left undefined
+	if (!/^[a-z]+$/i.test(color) || color.toLowerCase() === 'currentcolor' || !root.document) return
+
+	if (Tween.context === undefined) {
+		var canvas = document.createElement('canvas')
+		Tween.context = canvas.getContext ? canvas.getContext('2d') : null
+	}
+	var context = Tween.context
+	if (!context) return
+
+	context.fillStyle = '#010203'
+	context.fillStyle = color
+	return context.fillStyle !== '#010203' ? context.fillStyle : undefined
 }
 
 Tween.prototype.interpolate = function (percent) {
@@ -66,14 +278,25 @@ Tween.prototype.interpolate = function (percent) {
 		}
 	} else if (this.type === Tween.COLOR) {
 		return this.color(percent)
+	} else if (this.type === Tween.PERSPECTIVE) {
+		return this.perspective(percent)
+	} else if (this.type === Tween.QUATERNION) {
+		return this.quaternion(percent)
+	} else if (this.type === Tween.PATH) {
+		return Path.stringify(Path.interpolate(this.from, this.to, percent))
+	} else if (this.type === Tween.CALC) {
+		return this.calc(percent)
+	} else if (this.type === Tween.DISCRETE) {
+		return percent < 0.5 ? this.start : this.end
 	}
 }
 
 Tween.prototype.array = function (percent) {
 	var value = []
 	for (var i = 0; i < this.end.length; ++i) {
-		if (this.end[i]) {
-			value[i] = this.start[i] + this.end[i] * percent
+		if (this.end[i] !== undefined) {
+			var start = this.start[i] || 0
+			value[i] = start + (this.end[i] - start) * percent
 			if (this.suffix) {
 				value[i] += this.suffix
 			}
@@ -90,6 +313,29 @@ Tween.prototype.absolute = function (percent) {
 	return value
 }
 
+Tween.prototype.calc = function (percent) { // mixes values with different units
+	if (percent === 0) return this.start
+	if (percent === 1) return this.end
+
+	var end = /^calc\(/i.test(this.end) ? this.end.slice(4) : '(' + this.end + ')'
+	return 'calc(' + this.start + ' * ' + (1 - percent) + ' + ' + end + ' * ' + percent + ')'
+}
+
+Tween.prototype.perspective = function (percent) { // interpolates 1/d, 0 is no perspective
+	var start = this.start ? 1 / this.start : 0,
+	    end = this.end ? 1 / this.end : 0,
+	    value = start + (end - start) * percent
+
+	return value ? 1 / value : 0
+}
+
+Tween.prototype.quaternion = function (percent) { // shortest path between start and target rotations
+	if (percent === 1) {
+		return this.target.slice()
+	}
+	return Quaternion.toEuler(Quaternion.slerp(this.from, this.to, percent))
+}
+
 Tween.prototype.color = function (percent) {
 	var rgb = {r:0,g:0,b:0}
 	for (var spectra in rgb) {
@@ -0,0 +1,149 @@
+/**
+ * Units object for unit parsing and conversion
+ * lengths are converted to px and angles to deg
+ * @type {Object}
+ */
+var Units = {
+	angles: {deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360},
+	vertical: 'height,minHeight,maxHeight,top,bottom'.split(','),
+	horizontal: '\
+width,minWidth,maxWidth,left,right,textIndent,\
+margin,marginTop,marginLeft,marginBottom,marginRight,\
+padding,paddingTop,paddingLeft,paddingBottom,paddingRight'.split(','),
+	parse: function (value) { // '+=50%' is {operator: '+=', number: 50, unit: '%'}
+		var match = String(value).trim().match(/^([+\-*]=)?([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-z%]*)$/i)
+
+		return match && {operator: match[1] || '', number: parseFloat(match[2]), unit: match[3].toLowerCase()}
+	},
+	factor: function (unit, property, node, axis) { // px or deg in one unit, NaN if it's unknown
+		if (!unit || unit === 'px') return 1
+		if (unit in this.angles) return this.angles[unit]
+		if (unit === 'vw') return root.innerWidth / 100
+		if (unit === 'vh') return root.innerHeight / 100
+		if (unit === 'rem') return this.fontSize(root.document && document.documentElement)
+		if (!node) return NaN
+		if (unit === 'em') return this.fontSize(property === 'fontSize' ? node.parentNode : node)
+		if (unit === '%') return this.percent(property, node, axis) / 100
+		return NaN
+	},
+	ratio: function (from, to, property, node, axis) {
+		return this.factor(from, property, node, axis) / this.factor(to, property, node, axis)
+	},
+	fontSize: function (node) {
+		return node && node.nodeType === 1 ? parseFloat(getComputedStyle(node, null).fontSize) : NaN
+	},
+	percent: function (property, node, axis) { // size percents are relative to
+		var parent = node.parentNode && node.parentNode.nodeType === 1 ? node.parentNode : null
+
+		if (property === 'translate' || property === 'origin') {
+			return axis === 0 ? node.offsetWidth : axis === 1 ? node.offsetHeight : NaN
+		}
+		if (property === 'fontSize') return this.fontSize(parent)
+		if (property === 'lineHeight') return this.fontSize(node)
+		if (!parent) return NaN
+		if (this.vertical.indexOf(property) !== -1) return parent.clientHeight
+		if (this.horizontal.indexOf(property) !== -1) return parent.clientWidth
+		return NaN
+	},
+	convert: function (value, property, node) { // converts vector values to px and deg
+		if (Tween.isRange(value)) {
+			var range = {}
+			for (var key in value) {
+				range[key] = this.convert(value[key], property, node)
+			}
+			return range
+		}
+
+		var unit = property === 'rotate' || property === 'skew' ? 'deg' : 'px',
+		    values = Array.isArray(value) ? value : String(value).trim().split(/\s+/),
+		    self = this
+
+		values = values.map(function (v, i) {
+			var parsed = self.parse(v)
+			if (!parsed || !parsed.unit || parsed.unit === unit || parsed.operator === '*=') return v
+
+			var ratio = self.ratio(parsed.unit, unit, property, node, i)
+			return isFinite(ratio) ? parsed.operator + parsed.number * ratio : v
+		})
+
+		if (Array.isArray(value)) return values
+		return values.length === 1 ? values[0] : values.join(' ')
+	},
+	match: function (start, end, property, node, unit) { // converts scalar start and end values to one unit
+		var values = Tween.isRange(end) ? [end.from, end.to, end.by] : [end],
+		    parsed = this.parse(start),
+		    calc = false,
+		    self = this
+
+		values.forEach(function (v) {
+			if (/^calc\(/i.test(String(v).trim())) {
+				calc = true
+			}
+		})
+
+		for (var i = 0; i < values.length; ++i) {
+			var p = this.parse(values[i])
+			if (p && p.unit && p.operator !== '*=') {
+				unit = p.unit
+				break
+			}
+		}
+
+		var startUnit = parsed && parsed.unit || unit
+
+		if (!calc && parsed && startUnit !== unit) {
+			var ratio = this.ratio(startUnit, unit, property, node)
+			isFinite(ratio) ? start = parsed.number * ratio : calc = true
+		}
+
+		function convert(v) {
+			var p = self.parse(v)
+			if (calc || !p || !p.unit || p.unit === unit || p.operator === '*=') return v
+
+			var ratio = self.ratio(p.unit, unit, property, node)
+			if (!isFinite(ratio)) {
+				calc = true
+				return v
+			}
+			return p.operator + p.number * ratio
+		}
+
+		if (Tween.isRange(end)) {
+			var range = {}
+			for (var key in end) {
+				range[key] = convert(end[key])
+			}
+			end = range
+		} else {
+			end = convert(end)
+		}
+
+		if (calc) {
+			return this.calc(start, end, unit, startUnit)
+		}
+		return {start: start, end: end, unit: unit}
+	},
+	calc: function (start, end, unit, startUnit) { // end values for calc() interpolation
+		var parsed = this.parse(start)
+
+		start = parsed ? parsed.number + startUnit : String(start)
+
+		if (Tween.isRange(end)) {
+			end.from !== undefined && (start = this.css(end.from, unit))
+			end = end.to !== undefined ? end.to : end.by !== undefined ? '+=' + end.by : start
+		}
+
+		var operator = this.parse(end)
+		if (operator && operator.operator) {
+			var operand = operator.number + (operator.operator === '*=' ? '' : operator.unit || unit)
+			end = 'calc(' + start + ' ' + operator.operator.charAt(0) + ' ' + operand + ')'
+		} else {
+			end = this.css(end, unit)
+		}
+
+		return {calc: true, start: start, end: end}
+	},
+	css: function (value, unit) { // adds unit to numbers
+		return typeof value === 'number' ? value + unit : String(value).trim()
+	}
+}
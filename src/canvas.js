@@ -0,0 +1,165 @@
+/**
+ * Creates Canvas 2D renderer, World items with its sprites
+ * are drawn into one canvas after every frame
+ * @param {World} world
+ * @param {HTMLCanvasElement} node
+ * @param {number=} ratio Pixel ratio, defaults to devicePixelRatio
+ * @constructor
+ */
+function Canvas(world, node, ratio) {
+	this.world = world
+	this.dom = node
+	this.context = node.getContext('2d')
+	this.ratio = ratio || root.devicePixelRatio || 1
+	this.sprites = []
+	this.dirty = false
+
+	var self = this
+
+	this.render = function () {
+		self.dirty && self.draw()
+	}
+	this.removed = function (item) {
+		self.remove(item.target)
+	}
+	world.on('render', this.render)
+	world.on('itemremoved', this.removed)
+}
+
+/**
+ * Creates sprite target
+ * @param {HTMLImageElement|HTMLCanvasElement|Function} image Image or function drawing in sprite space
+ * @param {Object=} object Initial state
+ * @return {Sprite}
+ */
+Canvas.prototype.sprite = function (image, object) {
+	var sprite = new Sprite(this, image, object)
+	this.sprites.push(sprite)
+	return sprite
+}
+
+/**
+ * Adds sprite to the World
+ * @param {HTMLImageElement|HTMLCanvasElement|Function} image
+ * @param {number=} mass
+ * @param {number=} viscosity
+ * @return {Item}
+ */
+Canvas.prototype.add = function (image, mass, viscosity, edge) {
+	return this.world.add(this.sprite(image), mass, viscosity, edge)
+}
+
+/**
+ * Removes sprite
+ * @param {Sprite} sprite
+ */
+Canvas.prototype.remove = function (sprite) {
+	var index = this.sprites.indexOf(sprite)
+	if (index !== -1) {
+		this.sprites.splice(index, 1)
+		this.dirty = true
+	}
+}
+
+/**
+ * Clears canvas and draws all sprites
+ */
+Canvas.prototype.draw = function () {
+	var context = this.context
+
+	this.dirty = false
+	context.setTransform(1, 0, 0, 1, 0, 0)
+	context.clearRect(0, 0, this.dom.width, this.dom.height)
+
+	for (var i = 0; i < this.sprites.length; ++i) {
+		this.sprites[i].draw(context, this.ratio)
+	}
+}
+
+/**
+ * Stops drawing into canvas
+ */
+Canvas.prototype.destroy = function () {
+	this.world.off('render', this.render)
+	this.world.off('itemremoved', this.removed)
+	this.sprites = []
+}
+
+/**
+ * Creates sprite, render target drawn by Canvas
+ * @param {Canvas} canvas
+ * @param {HTMLImageElement|HTMLCanvasElement|Function} image
+ * @param {Object=} object Initial state
+ * @constructor
+ */
+function Sprite(canvas, image, object) {
+	Target.call(this, object || {})
+	this.canvas = canvas
+	this.image = image
+	this.item = null
+	this.matrix = null
+}
+
+Sprite.prototype = Object.create(Target.prototype)
+Sprite.prototype.constructor = Sprite
+
+/**
+ * Sets item state from sprite object, sprites are opaque by default
+ * @param {Item} item
+ * @param {string} property
+ */
+Sprite.prototype.read = function (item, property) {
+	if (property === 'opacity' && this.object.opacity == null) {
+		item.set('opacity', 1)
+		return
+	}
+	Target.prototype.read.call(this, item, property)
+}
+
+/**
+ * Keeps item matrix for the next Canvas draw
+ * @param {Item} item
+ */
+Sprite.prototype.render = function (item) {
+	this.item = item
+	this.matrix = item.renderMatrix()
+	this.canvas.dirty = true
+}
+
+/**
+ * Gets transform origin, images are transformed around their center
+ * @return {Array}
+ */
+Sprite.prototype.origin = function () {
+	var origin = this.item.state.origin,
+	    image = this.image
+
+	if (origin) return origin
+	return typeof image === 'function' ? Vector.zero() : [image.width / 2, image.height / 2, 0]
+}
+
+/**
+ * Draws sprite
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} ratio
+ */
+Sprite.prototype.draw = function (context, ratio) {
+	var item = this.item
+
+	if (!item || item.culled) return
+
+	var origin = this.origin(),
+	    opacity = item.state.opacity,
+	    m = Matrix.multiply(
+		    Matrix.translate(-origin[0], -origin[1], -origin[2]), this.matrix, Matrix.translate(origin[0], origin[1], origin[2])
+	    )
+
+	context.setTransform(m[0] * ratio, m[1] * ratio, m[4] * ratio, m[5] * ratio, m[12] * ratio, m[13] * ratio)
+	context.globalAlpha = opacity == null ? 1 : +opacity
+
+	if (typeof this.image === 'function') {
+		this.image(context, item)
+	} else {
+		context.drawImage(this.image, 0, 0)
+	}
+}
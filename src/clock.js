@@ -0,0 +1,64 @@
+/**
+ * Creates new clock, a time source and frame scheduler
+ * @param {Object=} options now, request and cancel functions
+ * @constructor
+ */
+function Clock(options) {
+	options || (options = {})
+
+	this.time = 0
+
+	this.now = options.now || Clock.now
+	this.request = options.request || Clock.request
+	this.cancel = options.cancel || Clock.cancel
+}
+
+/**
+ * Current time
+ * @return {number}
+ */
+Clock.now = function () {
+	return performance.now()
+}
+
+/**
+ * Requests next frame
+ * @param {Function} callback
+ * @return {number}
+ */
+Clock.request = function (callback) {
+	return requestAnimationFrame(function (tick) {
+		if (fixTick) {
+			tick = performance.now()
+		}
+		callback(tick)
+	})
+}
+
+/**
+ * Cancels requested frame
+ * @param {number} frame
+ */
+Clock.cancel = function (frame) {
+	cancelAnimationFrame(frame)
+}
+
+/**
+ * Creates clock that never requests frames by itself,
+ * time is moved only by World.step and World.advanceTo
+ * @param {number=} time Initial time
+ * @return {Clock}
+ */
+Clock.manual = function (time) {
+	var clock = new Clock({
+		now: function () {
+			return this.time
+		},
+		request: function () {
+			return 0
+		},
+		cancel: function () {}
+	})
+	clock.time = time || 0
+	return clock
+}
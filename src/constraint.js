@@ -0,0 +1,133 @@
+/**
+ * Creates constraint, it is evaluated every frame after animations and physics
+ * @param {string} type lookAt, position, rotation, distance or clamp
+ * @param {Item|Array=} target Item or world point, not used by clamp
+ * @param {Object=} options offset and weight for position and rotation,
+ * min and max for distance, property, min and max for clamp
+ * @constructor
+ */
+function Constraint(type, target, options) {
+	if (!(type in Constraint.types)) {
+		throw new Error('Unknown constraint ' + type)
+	}
+	if (type === 'clamp' && options === undefined && target && !Array.isArray(target) && !(target instanceof Item)) {
+		options = target
+		target = null
+	}
+
+	this.type = type
+	this.target = target || null
+	this.options = options || {}
+	this.enabled = true
+}
+
+/**
+ * Applies constraint to the item
+ * @param {Item} item
+ */
+Constraint.prototype.apply = function (item) {
+	this.enabled && Constraint.types[this.type].call(this, item, this.options)
+}
+
+/**
+ * Gets target position in world space
+ * @return {Array}
+ */
+Constraint.prototype.point = function () {
+	var target = this.target
+
+	if (Array.isArray(target)) return Vector.set(target)
+
+	Animation.readState(target, Animation.transform)
+	return target.toWorld(target instanceof Particle ? target.position() : target.get('translate'))
+}
+
+/**
+ * Gets item position in its parent space
+ * @param {Item} item
+ * @return {Array}
+ */
+Constraint.position = function (item) {
+	return item instanceof Particle ? Vector.clone(item.current.position) : Vector.clone(item.get('translate'))
+}
+
+/**
+ * Moves item, particles keep their velocity
+ * @param {Item} item
+ * @param {Array} position Position in item parent space
+ */
+Constraint.move = function (item, position) {
+	if (item instanceof Particle) {
+		var delta = Vector.sub(position, item.current.position)
+		item.current.position = position
+		item.previous.position = Vector.add(item.previous.position, delta)
+	} else {
+		item.set('translate', position)
+	}
+}
+
+/**
+ * Mixes values by weight
+ * @param {Array} from
+ * @param {Array} to
+ * @param {number=} weight Defaults to 1
+ * @return {Array}
+ */
+Constraint.mix = function (from, to, weight) {
+	weight == null && (weight = 1)
+	return from.map(function (v, i) {
+		return v + (to[i] - v) * weight
+	})
+}
+
+/**
+ * Gets limit for vector component
+ * @param {Array|number=} limit
+ * @param {number} i
+ * @param {number} fallback
+ * @return {number}
+ */
+Constraint.limit = function (limit, i, fallback) {
+	limit = Array.isArray(limit) ? limit[i] : limit
+	return limit == null ? fallback : limit
+}
+
+Constraint.types = {
+	lookAt: function (item) {
+		item.lookAt(this.point(), 'world')
+	},
+	position: function (item, options) {
+		var point = item.toLocal(Vector.add(this.point(), Vector.set(options.offset || 0)))
+		Constraint.move(item, Constraint.mix(Constraint.position(item), point, options.weight))
+	},
+	rotation: function (item, options) {
+		Animation.readState(this.target, Animation.transform)
+		var rotate = Vector.add(this.target.get('rotate'), Vector.set(options.offset || 0))
+		item.set('rotate', Constraint.mix(item.get('rotate'), rotate, options.weight))
+	},
+	distance: function (item, options) {
+		var point = this.point(),
+		    offset = Vector.sub(item.toWorld(Constraint.position(item)), point),
+		    distance = Vector.length(offset),
+		    limited = Math.max(options.min || 0, Math.min(options.max == null ? Infinity : options.max, distance))
+
+		if (limited !== distance && distance) {
+			Constraint.move(item, item.toLocal(Vector.add(point, Vector.scale(offset, limited / distance))))
+		}
+	},
+	clamp: function (item, options) {
+		var property = options.property || 'translate',
+		    value = property === 'translate' ? Constraint.position(item) : item.get(property)
+
+		if (value == null) return
+
+		var clamped = [].concat(value).map(function (v, i) {
+			return Math.max(Constraint.limit(options.min, i, -Infinity), Math.min(Constraint.limit(options.max, i, Infinity), v))
+		})
+
+		if (clamped.some(function (v, i) { return v !== [].concat(value)[i] })) {
+			clamped = Array.isArray(value) ? clamped : clamped[0]
+			property === 'translate' ? Constraint.move(item, clamped) : item.set(property, clamped)
+		}
+	}
+}
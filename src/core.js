@@ -6,18 +6,87 @@ var a = {}
 
 /**
  * Creates and initializes world with frame loop
+ * @param {Object=} options
  * @return {World}
  */
-a.world = function () {
-	return new World
+a.world = function (options) {
+	return new World(options)
 }
 
 /**
  * Creates and initializes timeline
+ * @param {Object=} options
  * @return {Timeline}
  */
-a.timeline = function () {
-	return new Timeline
+a.timeline = function (options) {
+	return new Timeline(options)
+}
+
+/**
+ * Creates timeline driven by scroll position
+ * @param {Object=} options
+ * @return {ScrollTimeline}
+ */
+a.scrollTimeline = function (options) {
+	return new ScrollTimeline(options)
+}
+
+/**
+ * Gets shared ticker or creates new one for the clock
+ * @param {Clock=} clock
+ * @return {Ticker}
+ */
+a.ticker = function (clock) {
+	return clock ? new Ticker(clock) : Ticker.shared
+}
+
+/**
+ * Shows debug overlay for the World
+ * @param {World} world
+ * @param {number=} interval Overlay refresh interval in ms
+ * @return {Debug}
+ */
+a.debug = function (world, interval) {
+	return new Debug(world, interval)
+}
+
+/**
+ * Creates render target for a plain object
+ * @param {Object} object
+ * @param {Function=} onRender Called with item state and the object
+ * @return {Target}
+ */
+a.target = function (object, onRender) {
+	return new Target(object, onRender)
+}
+
+/**
+ * Creates Canvas 2D renderer for the World
+ * @param {World} world
+ * @param {HTMLCanvasElement} node
+ * @param {number=} ratio Pixel ratio
+ * @return {Canvas}
+ */
+a.canvas = function (world, node, ratio) {
+	return new Canvas(world, node, ratio)
+}
+
+/**
+ * Creates clock for World and Timeline
+ * @param {Object=} options now, request and cancel functions
+ * @return {Clock}
+ */
+a.clock = function (options) {
+	return new Clock(options)
+}
+
+/**
+ * Creates manually stepped clock
+ * @param {number=} time Initial time
+ * @return {Clock}
+ */
+a.clock.manual = function (time) {
+	return Clock.manual(time)
 }
 
 if (typeof module === 'object' && typeof module.exports === 'object') {
@@ -14,7 +14,7 @@ function CSS(item, idle) {
 	!idle && this.style()
 }
 
-CSS.skip = {translate: null, rotate: null, scale: null};
+CSS.skip = {translate: null, rotate: null, scale: null, skew: null, perspective: null, origin: null};
 
 /**
  * Creates new stylesheet and adds it to HEAD
@@ -144,6 +144,7 @@ CSS.prototype.frame = function (time, ease) {
 	}
 	return percent + '% {' +
 		(percent ? transformProperty + ':' + this.item.transform() + ';' : '') +
+		(percent && this.item.state.origin ? transformOriginProperty + ':' + this.item.origin() + ';' : '') +
 		(props.join('')) +
 		(ease ? getProperty('animation-timing-function') + ':' + ease + ';' : '') +
 		'}'
@@ -0,0 +1,155 @@
+/**
+ * Creates debug overlay with World performance and items state
+ * @param {World} world
+ * @param {number=} interval Overlay refresh interval in ms
+ * @constructor
+ */
+function Debug(world, interval) {
+	this.world = world
+	this.interval = interval || 250
+
+	this.frames = 0
+	this.spent = 0
+	this.max = 0
+	this.start = null
+
+	this.dom = document.createElement('pre')
+	this.dom.style.cssText = 'position:fixed;top:0;right:0;z-index:2147483647;margin:0;padding:8px;' +
+		'max-height:100%;overflow:auto;font:11px/1.4 monospace;color:#0f0;background:rgba(0,0,0,.8);' +
+		'pointer-events:none'
+	document.body.appendChild(this.dom)
+
+	var self = this,
+	    update = world.update
+
+	this.update = update
+	world.update = function (tick) {
+		var start = performance.now()
+		update.apply(this, arguments)
+		self.measure(performance.now() - start)
+	}
+}
+
+/**
+ * Records one frame
+ * @param {number} spent Time spent in World.update
+ */
+Debug.prototype.measure = function (spent) {
+	var now = this.world.clock.now()
+
+	this.start === null && (this.start = now)
+	this.frames++
+	this.spent += spent
+	this.max = Math.max(this.max, spent)
+
+	if (now - this.start >= this.interval) {
+		this.render(this.frames * 1000 / (now - this.start), this.spent / this.frames, this.max)
+		this.frames = 0
+		this.spent = 0
+		this.max = 0
+		this.start = now
+	}
+}
+
+/**
+ * Collects World stats
+ * @return {Object}
+ */
+Debug.prototype.stats = function () {
+	var items = this.world.items,
+	    stats = {items: items.length, active: 0, animations: 0, particles: 0, awake: 0}
+
+	for (var i = 0; i < items.length; ++i) {
+		var item = items[i]
+		if (item.animation.length) {
+			stats.active++
+			stats.animations += item.animation.length
+		}
+		if (item instanceof Particle) {
+			stats.particles++
+			item.awake() && stats.awake++
+		}
+	}
+	return stats
+}
+
+/**
+ * Renders overlay
+ * @param {number} fps
+ * @param {number} spent Average time spent in World.update
+ * @param {number} max Longest World.update
+ */
+Debug.prototype.render = function (fps, spent, max) {
+	var stats = this.stats(),
+	    items = this.world.items,
+	    lines = [
+		'fps        ' + fps.toFixed(1),
+		'update     ' + spent.toFixed(2) + 'ms (max ' + max.toFixed(2) + 'ms)',
+		'items      ' + stats.active + '/' + stats.items + ' active',
+		'animations ' + stats.animations,
+		'particles  ' + stats.awake + '/' + stats.particles + ' awake',
+		''
+	]
+
+	for (var i = 0; i < items.length; ++i) {
+		lines.push(this.describe(items[i], i))
+	}
+
+	this.dom.textContent = lines.join('\n')
+}
+
+/**
+ * Describes item state and active animation
+ * @param {Item} item
+ * @param {number} index
+ * @return {string}
+ */
+Debug.prototype.describe = function (item, index) {
+	var state = item.state,
+	    node = item.dom,
+	    name = node.id || node.getAttribute && node.getAttribute('class') || node.nodeName || 'object' // SVG className is not a string
+
+	return '#' + index + ' ' + name + '\n' +
+		'  translate ' + Debug.vector(item instanceof Particle ? item.position() : state.translate) + '\n' +
+		'  rotate    ' + Debug.vector(state.rotate) + '\n' +
+		'  scale     ' + Debug.vector(state.scale) + '\n' +
+		'  animation ' + Debug.animation(item.animation.get(0))
+}
+
+/**
+ * Formats vector
+ * @param {Array=} vector
+ * @return {string}
+ */
+Debug.vector = function (vector) {
+	return vector ? vector.map(function (v) {
+		return Number(v).toFixed(2)
+	}).join(', ') : '-'
+}
+
+/**
+ * Formats animation
+ * @param {Animation|CssAnimation|Collection=} a
+ * @return {string}
+ */
+Debug.animation = function (a) {
+	if (!a) return '-'
+	if (a instanceof CssAnimation) {
+		return 'css ' + a.name + ' ' + a.duration + 'ms'
+	}
+	if (a instanceof Collection) {
+		return (a instanceof Parallel ? 'parallel' : 'sequence') + '(' + a.length + ') ' + a.duration + 'ms'
+	}
+	var properties = Object.keys(a.transformation).filter(function (property) {
+		return !(property in Animation.skip)
+	})
+	return properties.join(', ') + ' ' + a.duration + 'ms ' + a.easeName
+}
+
+/**
+ * Removes overlay and stops measuring
+ */
+Debug.prototype.destroy = function () {
+	this.world.update = this.update
+	this.dom.parentNode && this.dom.parentNode.removeChild(this.dom)
+}
@@ -0,0 +1,182 @@
+/**
+ * Creates group of items animated together
+ * @param {Array} items
+ * @constructor
+ */
+function Group(items) {
+	this.items = items
+	this.length = items.length
+}
+
+/**
+ * Promise resolved with {aborted: boolean} when all items end animations
+ * @type {Promise}
+ */
+Object.defineProperty(Group.prototype, 'finished', {
+	get: function () {
+		return Promise.all(this.items.map(function (item) {
+			return item.animation.finished
+		})).then(function (results) {
+			return {
+				aborted: results.some(function (result) {
+					return result.aborted
+				})
+			}
+		})
+	}
+})
+
+/**
+ * Makes group thenable, so it can be awaited
+ * @param {Function=} resolve
+ * @param {Function=} reject
+ * @return {Promise}
+ */
+Group.prototype.then = function (resolve, reject) {
+	return this.finished.then(resolve, reject)
+}
+
+/**
+ * Gets item by index
+ * @param {number} index
+ * @return {Item}
+ */
+Group.prototype.get = function (index) {
+	return this.items[index]
+}
+
+/**
+ * Adds animation to every item with delays distributed by stagger,
+ * transform values can be functions of (index, item, length)
+ * @param {Object|Array} transform
+ * @param {number} duration
+ * @param {string} ease
+ * @param {number|Object=} delay Delay or options with delay and stagger
+ * @return {Group}
+ */
+Group.prototype.animate = function (transform, duration, ease, delay) {
+	var options = delay === Object(delay) ? delay : {delay: delay},
+	    delays = Group.stagger(this.length, options.stagger)
+
+	for (var i = 0; i < this.length; ++i) {
+		var item = this.items[i],
+		    t = Group.resolve(transform, i, item, this.length)
+
+		if (t.delay) { // own delay of transform overrides argument
+			t.delay += delays[i]
+		}
+		item.animate(t, duration, ease, (options.delay || 0) + delays[i])
+	}
+
+	return this
+}
+
+/**
+ * Finishes animations of all items
+ * @param {boolean} abort
+ * @return {Group}
+ */
+Group.prototype.finish = function (abort) {
+	for (var i = 0; i < this.length; ++i) {
+		this.items[i].finish(abort)
+	}
+	return this
+}
+
+/**
+ * Stops animations of all items
+ * @return {Group}
+ */
+Group.prototype.stop = function () {
+	return this.finish(true)
+}
+
+/**
+ * Resolves function values of transform for item
+ * @param {Object|Array|string} transform
+ * @param {number} index
+ * @param {Item} item
+ * @param {number} length
+ * @return {Object|Array|string}
+ */
+Group.resolve = function (transform, index, item, length) {
+	if (Array.isArray(transform)) {
+		return transform.map(function (t) {
+			return Group.resolve(t, index, item, length)
+		})
+	}
+	if (typeof transform === 'function') {
+		return transform(index, item, length)
+	}
+	if (transform !== Object(transform)) return transform
+
+	var resolved = {}
+	for (var property in transform) {
+		if (transform.hasOwnProperty(property)) {
+			var value = transform[property]
+			resolved[property] = typeof value === 'function' ? value(index, item, length) : value
+		}
+	}
+	return resolved
+}
+
+/**
+ * Calculates delays for group items
+ * stagger is a delay between neighbours or an object with
+ * each, from ('start', 'end', 'center', index or [x, y]),
+ * grid ([columns, rows]), axis ('x' or 'y') and ease
+ * @param {number} length
+ * @param {number|Object=} stagger
+ * @return {Array}
+ */
+Group.stagger = function (length, stagger) {
+	var delays = [],
+	    distances = [],
+	    max = 0,
+	    i
+
+	stagger === Object(stagger) || (stagger = {each: stagger || 0})
+
+	var grid = stagger.grid || [length, 1],
+	    from = Group.origin(stagger.from, grid, length),
+	    ease = easings[stagger.ease] || easings.linear
+
+	for (i = 0; i < length; ++i) {
+		var x = stagger.axis === 'y' ? 0 : i % grid[0] - from[0],
+		    y = stagger.axis === 'x' ? 0 : Math.floor(i / grid[0]) - from[1],
+		    distance = Math.sqrt(x * x + y * y)
+
+		distances.push(distance)
+		max = Math.max(max, distance)
+	}
+
+	for (i = 0; i < length; ++i) {
+		delays.push(max ? ease(distances[i] / max) * max * (stagger.each || 0) : 0)
+	}
+
+	return delays
+}
+
+/**
+ * Gets grid position stagger starts from
+ * @param {string|number|Array=} from
+ * @param {Array} grid
+ * @param {number} length
+ * @return {Array}
+ */
+Group.origin = function (from, grid, length) {
+	if (Array.isArray(from)) return from
+
+	var columns = grid[0],
+	    rows = grid[1] || Math.ceil(length / columns)
+
+	if (from === 'center') {
+		return [(Math.min(columns, length) - 1) / 2, (rows - 1) / 2]
+	}
+	if (from === 'end') {
+		from = length - 1
+	}
+	from |= 0
+
+	return [from % columns, Math.floor(from / columns)]
+}
@@ -1,17 +1,38 @@
 /**
  * Creates new animated item
- * @param {HTMLElement} node
+ * @param {HTMLElement|SVGElement|Object|Target} node Element, plain object or render target
  * @constructor
  */
 function Item(node) {
 	EventEmitter.call(this)
 
-	this.dom = node
+	this.target = Target.wrap(node)
+	this.dom = this.target ? this.target.object : node
+	this.world = null
 
 	this.animation = new Sequence(this)
 
 	this.running = true
 	this.state = {}
+	this.rendered = {}
+	this.measured = true
+	this.dirty = false
+	this.culled = false
+	this.bounds = null
+
+	this.playbackRate = 1
+	this.time = null
+	this.tick = null
+	this.seeked = null
+
+	this.connected = false
+
+	this.parent = null
+	this.children = []
+	this.space = 'local'
+
+	this.flipped = null
+	this.constraints = []
 }
 
 Item.prototype = Object.create(EventEmitter.prototype)
@@ -23,7 +44,7 @@ Item.prototype.constructor = Item
  */
 Item.prototype.update = function (tick) {
 	if (!this.running) return
-	this.animation.run(tick)
+	this.animation.run(this.advance(tick))
 }
 
 /**
@@ -32,15 +53,51 @@ Item.prototype.update = function (tick) {
  */
 Item.prototype.timeline = function (tick) {
 	this.clear()
-	this.animation.seek(tick)
+	this.seeked = tick * this.playbackRate
+	this.animation.seek(this.seeked)
+}
+
+/**
+ * Checks if seeking to the tick changes nothing on timeline,
+ * item was already seeked past the end of its animations
+ * @param {number} tick
+ * @return {boolean}
+ */
+Item.prototype.settled = function (tick) {
+	var end = this.animation.duration
+	return this.seeked !== null && this.seeked >= end && tick * this.playbackRate >= end
+}
+
+/**
+ * Converts World time to item time scaled by playbackRate
+ * @param {number} tick
+ * @return {number}
+ */
+Item.prototype.advance = function (tick) {
+	if (this.time === null) {
+		this.time = tick
+	} else if (this.tick !== null) {
+		this.time += (tick - this.tick) * this.playbackRate
+	}
+	this.tick = tick
+	return this.time
+}
+
+/**
+ * Gets motion policy of the World
+ * @return {string}
+ */
+Item.prototype.motion = function () {
+	return this.world ? this.world.motion : 'full'
 }
 
 /**
  * Pauses item animation
+ * item time stands still until resumed
  */
 Item.prototype.pause = function () {
 	if (!this.running) return
-	this.animation.pause()
+	this.time !== null && this.animation.pause(this.time)
 	this.running = false
 }
 
@@ -49,12 +106,84 @@ Item.prototype.pause = function () {
  */
 Item.prototype.resume = function () {
 	if (this.running) return
-	this.animation.resume()
+	this.tick = this.world ? this.world.time : null
+	this.time !== null && this.animation.resume(this.time)
 	this.running = true
 }
 
+/**
+ * Reads initial state for pending animations
+ */
+Item.prototype.read = function () {
+	if (this.measured) return
+	this.measured = true
+
+	var transform = {}
+
+	;(function collect(a) {
+		if (a.animations) {
+			a.animations.forEach(collect)
+		} else if (a instanceof Animation) {
+			for (var property in a.transformation) {
+				transform[property] = true
+			}
+		}
+	}(this.animation))
+
+	Animation.readState(this, transform)
+}
+
+/**
+ * Renders item if its state has changed
+ */
+Item.prototype.render = function () {
+	if (!this.dirty || this.culled) return
+	this.dirty = false
+	this.draw()
+}
+
+/**
+ * Checks if culled item is moved into the viewport by its transform,
+ * the box measured when it was culled is moved by the change of the matrix
+ * @return {boolean}
+ */
+Item.prototype.visible = function () {
+	var bounds = this.bounds
+	if (!bounds) return false
+
+	var rect = bounds.rect,
+	    viewport = bounds.viewport || {left: 0, top: 0, right: root.innerWidth, bottom: root.innerHeight},
+	    m = Matrix.multiply(Matrix.inverse(bounds.matrix), this.renderMatrix()),
+	    origin = [ // layout center the transform is applied around
+		    rect.left + rect.width / 2 - bounds.matrix[12],
+		    rect.top + rect.height / 2 - bounds.matrix[13],
+		    0
+	    ],
+	    min = [Infinity, Infinity],
+	    max = [-Infinity, -Infinity]
+
+	;[[rect.left, rect.top], [rect.right, rect.top], [rect.left, rect.bottom], [rect.right, rect.bottom]].forEach(function (corner) {
+		var point = Vector.add(Vector.transform(Vector.sub([corner[0], corner[1], 0], origin), m), origin)
+		for (var i = 0; i < 2; ++i) {
+			min[i] = Math.min(min[i], point[i])
+			max[i] = Math.max(max[i], point[i])
+		}
+	})
+
+	return max[0] > viewport.left && min[0] < viewport.right &&
+		max[1] > viewport.top && min[1] < viewport.bottom
+}
+
+/**
+ * Writes state to the node or render target
+ */
+Item.prototype.draw = function () {
+	this.target ? this.target.render(this) : this.style()
+}
+
 /**
  * Sets style to the dom node
+ * skips values that are already rendered
  * @param {string=} property
  * @param {string=} value
  */
@@ -63,19 +192,56 @@ Item.prototype.style = function (property, value) {
 	if (property && value) {
 		style[property] = value
 	} else {
-		style[transformProperty] = this.transform()
+		this.write(transformProperty, this.transform())
+		this.state.origin && this.write(transformOriginProperty, this.origin())
 		for (var property in this.state) {
-			style[property] = this.get(property)
+			if (property in Animation.transform || property === 'origin') continue
+			this.write(property, this.get(property))
 		}
 	}
 }
 
+/**
+ * Writes style value if it has changed
+ * @param {string} property
+ * @param {string} value
+ */
+Item.prototype.write = function (property, value) {
+	if (this.rendered[property] === value) return
+	this.rendered[property] = value
+	this.dom.style[property] = value
+}
+
 /**
  * Returns transform CSS value
  * @return {string}
  */
 Item.prototype.transform = function () {
-	return Matrix.stringify(this.matrix())
+	return Matrix.stringify(this.renderMatrix())
+}
+
+/**
+ * Calculates rendered matrix, it is composed with parents
+ * unless the parent node already contains item node
+ * @return {Object}
+ */
+Item.prototype.renderMatrix = function () {
+	var matrix = this.matrix(),
+	    parent = this.parent
+
+	if (this.space === 'world') {
+		while (parent && !parent.contains(this)) {
+			parent = parent.parent
+		}
+		// cancels transform inherited from the parent node
+		parent && (matrix = Matrix.multiply(matrix, Matrix.inverse(parent.worldMatrix())))
+	} else {
+		for (; parent && !parent.contains(this); parent = parent.parent) {
+			matrix = Matrix.multiply(matrix, parent.matrix())
+		}
+	}
+
+	return matrix
 }
 
 /**
@@ -85,23 +251,136 @@ Item.prototype.transform = function () {
 Item.prototype.matrix = function () {
 	var state = this.state
 	return Matrix.compose(
-		state.translate, state.rotate, state.scale
+		state.translate, state.rotate, state.scale, state.skew, state.perspective
 	)
 }
 
+/**
+ * Calculates matrix composed with all parents
+ * @return {Object}
+ */
+Item.prototype.worldMatrix = function () {
+	var matrix = this.matrix()
+
+	if (this.space === 'world') return matrix
+
+	for (var parent = this.parent; parent; parent = parent.parent) {
+		matrix = Matrix.multiply(matrix, parent.matrix())
+		if (parent.space === 'world') break
+	}
+	return matrix
+}
+
+/**
+ * Calculates matrix of the space item state is set in
+ * @return {Object}
+ */
+Item.prototype.parentMatrix = function () {
+	return this.parent && this.space !== 'world'
+		? this.parent.worldMatrix()
+		: Matrix.identity()
+}
+
+/**
+ * Converts point from world to item parent space
+ * @param {Array} vector
+ * @return {Array}
+ */
+Item.prototype.toLocal = function (vector) {
+	return Vector.transform(vector, Matrix.inverse(this.parentMatrix()))
+}
+
+/**
+ * Converts point from item parent to world space
+ * @param {Array} vector
+ * @return {Array}
+ */
+Item.prototype.toWorld = function (vector) {
+	return Vector.transform(vector, this.parentMatrix())
+}
+
+/**
+ * Adds child item, its transform is relative to this item
+ * child node should be positioned at the same point as parent node,
+ * transform origins are expected to match too
+ * @param {Item|HTMLElement} item
+ * @return {Item}
+ */
+Item.prototype.add = function (item) {
+	if (!(item instanceof Item)) {
+		item = this.world ? this.world.add(item) : new Item(item)
+	}
+
+	item.parent && item.parent.remove(item)
+	item.parent = this
+	item.invalidate()
+	this.children.push(item)
+
+	return item
+}
+
+/**
+ * Removes child item
+ * @param {Item} item
+ */
+Item.prototype.remove = function (item) {
+	var index = this.children.indexOf(item)
+
+	if (index !== -1) {
+		this.children.splice(index, 1)
+		item.parent = null
+		item.invalidate()
+	}
+}
+
+/**
+ * Checks if item node is inside this item node,
+ * then browser composes their transforms itself
+ * @param {Item} item
+ * @return {boolean}
+ */
+Item.prototype.contains = function (item) {
+	return !!(this.dom.contains && this.dom !== item.dom && this.dom.contains(item.dom))
+}
+
+/**
+ * Marks item and its children to be rendered
+ */
+Item.prototype.invalidate = function () {
+	this.dirty = true
+	for (var i = 0; i < this.children.length; ++i) {
+		this.children[i].invalidate()
+	}
+}
+
+/**
+ * Returns transform-origin CSS value
+ * @return {string}
+ */
+Item.prototype.origin = function () {
+	var origin = this.state.origin
+	return (origin[0] || 0) + 'px ' + (origin[1] || 0) + 'px ' + (origin[2] || 0) + 'px'
+}
+
 /**
  * Gets transformation needed to make Item in center
+ * @param {string=} space 'local' or 'world'
  * @return {Object}
  */
-Item.prototype.center = function () {
-	return Matrix.decompose(Matrix.inverse(this.matrix()))
+Item.prototype.center = function (space) {
+	return Matrix.decompose(Matrix.inverse(
+		space === 'world' ? this.worldMatrix() : this.matrix()
+	))
 }
 
 /**
  * Rotates item to look at vector
  * @param {Array} vector
+ * @param {string=} space Space of the vector, 'local' or 'world'
  */
-Item.prototype.lookAt = function (vector) {
+Item.prototype.lookAt = function (vector, space) {
+	space === 'world' && (vector = this.toLocal(vector))
+
 	var transform = Matrix.decompose(Matrix.lookAt(
 		vector, this.get('translate'), Vector.set(0, 1, 0)
 	))
@@ -115,6 +394,7 @@ Item.prototype.lookAt = function (vector) {
  * @return {Item}
  */
 Item.prototype.set = function (type, value) {
+	this.invalidate()
 	if (Array.isArray(value)) {
 		this.state[type] || (this.state[type] = [])
 		for (var i = 0; i < value.length; ++i) {
@@ -144,6 +424,8 @@ Item.prototype.clear = function () {
 	this.state.translate = Vector.zero()
 	this.state.rotate = Vector.zero()
 	this.state.scale = Vector.set(1)
+	this.state.skew = [0, 0]
+	this.state.perspective = 0
 }
 
 /**
@@ -158,6 +440,127 @@ Item.prototype.animate = function (transform, duration, ease, delay) {
 	return this.animation.add(transform, duration, ease, delay)
 }
 
+/**
+ * Binds item to the target every frame
+ * @param {string} type lookAt, position, rotation, distance or clamp
+ * @param {Item|Array=} target Item or world point
+ * @param {Object=} options
+ * @return {Constraint}
+ */
+Item.prototype.constrain = function (type, target, options) {
+	var constraint = new Constraint(type, target, options)
+	this.constraints.push(constraint)
+	return constraint
+}
+
+/**
+ * Removes constraint, all constraints when it is not set
+ * @param {Constraint=} constraint
+ * @return {Item}
+ */
+Item.prototype.unconstrain = function (constraint) {
+	if (constraint) {
+		var index = this.constraints.indexOf(constraint)
+		index !== -1 && this.constraints.splice(index, 1)
+	} else {
+		this.constraints = []
+	}
+	return this
+}
+
+/**
+ * Applies constraints in order they were added
+ */
+Item.prototype.solve = function () {
+	if (!this.constraints.length) return
+
+	Animation.readState(this, Animation.transform)
+	for (var i = 0; i < this.constraints.length; ++i) {
+		this.constraints[i].apply(this)
+	}
+}
+
+/**
+ * Animates layout change done by mutate from the old geometry
+ * @param {Function} mutate Changes DOM layout
+ * @param {number} duration
+ * @param {string} ease
+ * @return {Sequence|undefined} Undefined unless item is an element
+ */
+Item.prototype.flip = function (mutate, duration, ease) {
+	return Item.flip([this], mutate, duration, ease)[0]
+}
+
+/**
+ * Measures items before and after mutate, then animates translate and scale
+ * from the old boxes to the new ones, running animations are stopped,
+ * transform origin is expected to be in the center,
+ * items without element like plain objects and sprites are skipped,
+ * particles are placed at the old geometry and follow the animation with physics
+ * @param {Array} items
+ * @param {Function} mutate
+ * @param {number} duration
+ * @param {string} ease
+ * @return {Array} Sequences of items
+ */
+Item.flip = function (items, mutate, duration, ease) {
+	items = items.filter(function (item) {
+		return item.dom && item.dom.nodeType === 1
+	})
+
+	var first = items.map(function (item) {
+		Animation.readState(item, Animation.transform)
+		item.flipped = Item.rest(item)
+		item.stop()
+		return item.dom.getBoundingClientRect()
+	})
+
+	mutate()
+
+	return items.map(function (item, i) {
+		var particle = item instanceof Particle,
+		    last = item.dom.getBoundingClientRect(),
+		    rest = item.flipped,
+		    translate = particle ? item.position() : item.get('translate'),
+		    scale = item.get('scale')
+
+		item.set('translate', [
+			translate[0] + first[i].left + first[i].width / 2 - last.left - last.width / 2,
+			translate[1] + first[i].top + first[i].height / 2 - last.top - last.height / 2
+		])
+		item.set('scale', [
+			scale[0] * (last.width ? first[i].width / last.width : 1),
+			scale[1] * (last.height ? first[i].height / last.height : 1)
+		])
+		if (particle) { // placed at the inverted position, physics follows the animation back
+			item.current.position = Vector.clone(item.state.translate)
+			item.previous.position = Vector.clone(item.state.translate)
+		}
+		item.draw() // inverted before the browser paints
+
+		var sequence = item.animate({
+			translate: {to: rest.translate},
+			scale: {to: rest.scale}
+		}, duration, ease)
+
+		sequence.then(function () {
+			item.flipped === rest && (item.flipped = null)
+		})
+		return sequence
+	})
+}
+
+/**
+ * Gets transform item rests at, when flip is interrupted it is the flip target
+ * @param {Item} item
+ * @return {Object}
+ */
+Item.rest = function (item) {
+	var rest = item.flipped || item.state
+
+	return {translate: rest.translate.slice(), scale: rest.scale.slice()}
+}
+
 /**
  * Alternates current animation
  * @param {Object|Array} transform
@@ -189,11 +592,62 @@ Item.prototype.stop = function () {
 	return this.finish(true)
 }
 
+/**
+ * Checks if the node was removed from the document after being attached
+ * @return {boolean}
+ */
+Item.prototype.detached = function () {
+	var connected = this.dom.isConnected
+	if (connected === undefined) return false
+	if (connected) {
+		this.connected = true
+		return false
+	}
+	return this.connected
+}
+
+/**
+ * Stops animations, detaches handlers and clears inline styles
+ */
+Item.prototype.destroy = function () {
+	this.stop()
+	this.world && this.world.remove(this)
+
+	this.parent && this.parent.remove(this)
+	while (this.children.length) {
+		this.remove(this.children[0])
+	}
+
+	this.handlers = {}
+	this.animation.handlers = {}
+	this.running = false
+
+	if (this.target) {
+		this.target.restore()
+		this.state = {}
+		this.rendered = {}
+		return
+	}
+
+	var style = this.dom.style
+	style[transformProperty] = ''
+	style[transformOriginProperty] = ''
+	style[animationProperty] = ''
+	for (var property in this.state) {
+		style[property] = ''
+	}
+	this.state = {}
+	this.rendered = {}
+}
+
 /**
  * Generates CSS animation or transition
  * @param {boolean=} idle
  * @return {CSS}
  */
 Item.prototype.css = function (idle) {
+	if (this.target && !(this.target instanceof SvgTarget)) { // SVG elements are styled like HTML
+		throw new Error('CSS is not supported for render targets')
+	}
 	return new CSS(this, idle)
 }
@@ -239,13 +239,18 @@ var Matrix = {
 
 		return a
 	},
-	compose: function (translate, rotate, scale) {
+	compose: function (translate, rotate, scale, skew, perspective) {
 		translate || (translate = [])
 		rotate || (rotate = [])
 		scale || (scale = [])
+		skew || (skew = [])
 
 		var a = this.rotate(rotate[0], rotate[1], rotate[2])
 
+		if (skew[0] || skew[1]) {
+			a = this.multiply(this.skew(skew[0], skew[1]), a)
+		}
+
 		if (scale.length) {
 			a[0] *= scale[0]
 			a[1] *= scale[0]
@@ -266,21 +271,50 @@ var Matrix = {
 			a[14] = translate[2]
 		}
 
+		if (perspective) { // multiplies by perspective matrix
+			var p = -1 / perspective
+
+			a[3] = a[2] * p
+			a[7] = a[6] * p
+			a[11] = a[10] * p
+			a[15] = a[14] * p + 1
+		}
+
 		return a
 	},
-	decompose: function (m) { // supports only scale*rotate*translate matrix
-		var sX = Vector.length(m[0], m[1], m[2]),
-		    sY = Vector.length(m[4], m[5], m[6]),
-		    sZ = Vector.length(m[8], m[9], m[10])
+	decompose: function (m) { // supports only perspective*translate*rotate*skew*scale matrix,
+		// skewY is not recovered, it is folded into rotate, scale and skewX
+		var zz = m[2] * m[2] + m[6] * m[6] + m[10] * m[10],
+		    p = zz ? (m[3] * m[2] + m[7] * m[6] + m[11] * m[10]) / zz : 0
+
+		var x = [+m[0], +m[1], +m[2]],
+		    y = [+m[4], +m[5], +m[6]],
+		    z = [+m[8], +m[9], +m[10]]
+
+		var sX = Vector.length(x)
+		x = Vector.scale(x, 1 / sX)
+
+		var shear = Vector.dot(x, y)
+		y = Vector.sub(y, Vector.scale(x, shear))
+
+		var sY = Vector.length(y)
+		y = Vector.scale(y, 1 / sY)
+		shear /= sY
+
+		z = Vector.sub(z, Vector.scale(x, Vector.dot(x, z)))
+		z = Vector.sub(z, Vector.scale(y, Vector.dot(y, z)))
+
+		var sZ = Vector.length(z)
+		z = Vector.scale(z, 1 / sZ)
 
-		var rX = Math.atan2(-m[9] / sZ, m[10] / sZ) / radians,
-		    rY = Math.asin(m[8] / sZ) / radians,
-		    rZ = Math.atan2(-m[4] / sY, m[0] / sX) / radians
+		var rX = Math.atan2(-z[1], z[2]) / radians,
+		    rY = Math.asin(z[0]) / radians,
+		    rZ = Math.atan2(-y[0], x[0]) / radians
 
-		if (m[4] === 1 || m[4] === -1) {
+		if (y[0] === 1 || y[0] === -1) {
 			rX = 0
-			rY = m[4] * -Math.PI / 2
-			rZ = m[4] * Math.atan2(m[6] / sY, m[5] / sY) / radians
+			rY = y[0] * -90
+			rZ = y[0] * Math.atan2(y[2], y[1]) / radians
 		}
 
 		var tX = m[12],
@@ -290,7 +324,9 @@ var Matrix = {
 		return {
 			translate: [tX, tY, tZ],
 			rotate: [rX, rY, rZ],
-			scale: [sX, sY, sZ]
+			scale: [sX, sY, sZ],
+			skew: [Math.atan(shear) / radians, 0],
+			perspective: p ? -1 / p : 0
 		}
 	},
 	transpose: function (m) {
@@ -328,13 +364,13 @@ var Matrix = {
 		if (Vector.length(z) === 0)
 			z[2] = 1
 
-		var x = Vector.cross(up, z)
+		var x = Vector.norm(Vector.cross(up, z))
 		if (Vector.length(x) === 0) {
 			z[0] += 0.0001
 			x = Vector.norm(Vector.cross(up, z))
 		}
 
-		var y = Vector.cross(z, x)
+		var y = Vector.norm(Vector.cross(z, x))
 
 		var a = this.identity()
 
@@ -0,0 +1,281 @@
+/**
+ * Path object for SVG path morphing
+ * path is a list of subpaths {points, closed}, points are [x, y]
+ * of the start followed by [x1, y1, x2, y2, x, y] of every cubic curve
+ * @type {Object}
+ */
+var Path = {
+	parse: function (d) { // normalizes commands to absolute cubic curves
+		var tokens = String(d).match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [],
+		    paths = [],
+		    path = null,
+		    x = 0, y = 0, // current point
+		    sx = 0, sy = 0, // subpath start
+		    qx = 0, qy = 0, // last control point
+		    command = null,
+		    previous = null,
+		    i = 0
+
+		function number() {
+			return parseFloat(tokens[i++])
+		}
+
+		function curve(x1, y1, x2, y2, ex, ey) {
+			if (!path || path.closed) {
+				path = {points: [x, y], closed: false}
+				paths.push(path)
+			}
+			path.points.push(x1, y1, x2, y2, ex, ey)
+			x = ex
+			y = ey
+		}
+
+		function line(ex, ey) {
+			curve(x + (ex - x) / 3, y + (ey - y) / 3, x + (ex - x) * 2 / 3, y + (ey - y) * 2 / 3, ex, ey)
+		}
+
+		function quad(x1, y1, ex, ey) {
+			curve(x + (x1 - x) * 2 / 3, y + (y1 - y) * 2 / 3, ex + (x1 - ex) * 2 / 3, ey + (y1 - ey) * 2 / 3, ex, ey)
+		}
+
+		while (i < tokens.length) {
+			if (/[a-z]/i.test(tokens[i])) {
+				command = tokens[i++]
+			} else if (!command) {
+				break
+			}
+
+			var upper = command.toUpperCase(),
+			    ox = command !== upper ? x : 0,
+			    oy = command !== upper ? y : 0,
+			    x1, y1, ex, ey
+
+			if (upper !== 'Z' && i >= tokens.length) break
+
+			switch (upper) {
+				case 'M':
+					x = sx = ox + number()
+					y = sy = oy + number()
+					path = {points: [x, y], closed: false}
+					paths.push(path)
+					command = command === 'm' ? 'l' : 'L' // following pairs are lines
+					break
+				case 'L':
+					ex = ox + number()
+					line(ex, oy + number())
+					break
+				case 'H':
+					line(ox + number(), y)
+					break
+				case 'V':
+					line(x, oy + number())
+					break
+				case 'C':
+					x1 = ox + number()
+					y1 = oy + number()
+					qx = ox + number()
+					qy = oy + number()
+					ex = ox + number()
+					curve(x1, y1, qx, qy, ex, oy + number())
+					break
+				case 'S':
+					x1 = previous === 'C' || previous === 'S' ? 2 * x - qx : x
+					y1 = previous === 'C' || previous === 'S' ? 2 * y - qy : y
+					qx = ox + number()
+					qy = oy + number()
+					ex = ox + number()
+					curve(x1, y1, qx, qy, ex, oy + number())
+					break
+				case 'Q':
+					qx = ox + number()
+					qy = oy + number()
+					ex = ox + number()
+					quad(qx, qy, ex, oy + number())
+					break
+				case 'T':
+					qx = previous === 'Q' || previous === 'T' ? 2 * x - qx : x
+					qy = previous === 'Q' || previous === 'T' ? 2 * y - qy : y
+					ex = ox + number()
+					quad(qx, qy, ex, oy + number())
+					break
+				case 'A':
+					var rx = number(),
+					    ry = number(),
+					    angle = number(),
+					    large = number(),
+					    sweep = number()
+
+					ex = ox + number()
+					ey = oy + number()
+
+					var curves = this.arc(x, y, rx, ry, angle, large, sweep, ex, ey)
+					for (var j = 0; j < curves.length; j += 6) {
+						curve(curves[j], curves[j + 1], curves[j + 2], curves[j + 3], curves[j + 4], curves[j + 5])
+					}
+					break
+				case 'Z':
+					if (path) {
+						(x !== sx || y !== sy) && line(sx, sy)
+						path.closed = true
+					}
+					x = sx
+					y = sy
+					command = null
+					break
+				default: // unknown command ends parsing
+					i = tokens.length
+			}
+
+			if (isNaN(x) || isNaN(y)) break
+			previous = upper
+		}
+
+		paths.forEach(function (subpath) { // lonely moveto becomes a point
+			var points = subpath.points
+			points.length === 2 && points.push(points[0], points[1], points[0], points[1], points[0], points[1])
+		})
+
+		return paths
+	},
+	arc: function (x1, y1, rx, ry, angle, large, sweep, x2, y2) { // converts arc to cubic curves
+		if (x1 === x2 && y1 === y2) return []
+
+		rx = Math.abs(rx)
+		ry = Math.abs(ry)
+
+		if (!rx || !ry) {
+			return [x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3, x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3, x2, y2]
+		}
+
+		var cos = Math.cos(angle * radians),
+		    sin = Math.sin(angle * radians),
+		    dx = (x1 - x2) / 2,
+		    dy = (y1 - y2) / 2,
+		    x = cos * dx + sin * dy,
+		    y = -sin * dx + cos * dy,
+		    lambda = x * x / (rx * rx) + y * y / (ry * ry)
+
+		if (lambda > 1) { // radii are too small
+			rx *= Math.sqrt(lambda)
+			ry *= Math.sqrt(lambda)
+		}
+
+		var rx2 = rx * rx,
+		    ry2 = ry * ry,
+		    k = Math.sqrt(Math.max(0, (rx2 * ry2 - rx2 * y * y - ry2 * x * x) / (rx2 * y * y + ry2 * x * x))),
+		    ccx = (+large !== +sweep ? k : -k) * rx * y / ry,
+		    ccy = (+large !== +sweep ? -k : k) * ry * x / rx,
+		    cx = cos * ccx - sin * ccy + (x1 + x2) / 2,
+		    cy = sin * ccx + cos * ccy + (y1 + y2) / 2,
+		    start = Math.atan2((y - ccy) / ry, (x - ccx) / rx),
+		    delta = Math.atan2((-y - ccy) / ry, (-x - ccx) / rx) - start
+
+		if (+sweep && delta < 0) delta += 2 * Math.PI
+		if (!+sweep && delta > 0) delta -= 2 * Math.PI
+
+		var segments = Math.ceil(Math.abs(delta) / (Math.PI / 2)),
+		    step = delta / segments,
+		    t = 4 / 3 * Math.tan(step / 4),
+		    curves = []
+
+		function point(ux, uy) {
+			curves.push(cos * rx * ux - sin * ry * uy + cx, sin * rx * ux + cos * ry * uy + cy)
+		}
+
+		for (var i = 0; i < segments; ++i) {
+			var a = start + i * step,
+			    b = a + step
+
+			point(Math.cos(a) - t * Math.sin(a), Math.sin(a) + t * Math.cos(a))
+			point(Math.cos(b) + t * Math.sin(b), Math.sin(b) - t * Math.cos(b))
+			point(Math.cos(b), Math.sin(b))
+		}
+
+		curves[curves.length - 2] = x2
+		curves[curves.length - 1] = y2
+
+		return curves
+	},
+	split: function (points, index) { // splits curve in halves
+		var o = 2 + index * 6,
+		    x0 = points[o - 2], y0 = points[o - 1],
+		    x1 = points[o], y1 = points[o + 1],
+		    x2 = points[o + 2], y2 = points[o + 3],
+		    x3 = points[o + 4], y3 = points[o + 5],
+		    ax = (x0 + x1) / 2, ay = (y0 + y1) / 2,
+		    bx = (x1 + x2) / 2, by = (y1 + y2) / 2,
+		    cx = (x2 + x3) / 2, cy = (y2 + y3) / 2,
+		    abx = (ax + bx) / 2, aby = (ay + by) / 2,
+		    bcx = (bx + cx) / 2, bcy = (by + cy) / 2,
+		    mx = (abx + bcx) / 2, my = (aby + bcy) / 2
+
+		points.splice(o, 6, ax, ay, abx, aby, mx, my, bcx, bcy, cx, cy, x3, y3)
+	},
+	grow: function (points, count) { // splits the longest curves until there are count curves
+		while ((points.length - 2) / 6 < count) {
+			var longest = 0,
+			    max = -1
+
+			for (var i = 2; i < points.length; i += 6) {
+				var length = Math.abs(points[i + 4] - points[i - 2]) + Math.abs(points[i + 5] - points[i - 1])
+				if (length > max) {
+					max = length
+					longest = (i - 2) / 6
+				}
+			}
+			this.split(points, longest)
+		}
+	},
+	match: function (a, b) { // makes paths have the same subpaths and curves count
+		a = this.clone(a)
+		b = this.clone(b)
+
+		this.fill(a, b)
+		this.fill(b, a)
+
+		for (var i = 0; i < a.length; ++i) {
+			var count = Math.max(a[i].points.length, b[i].points.length, 8)
+			this.grow(a[i].points, (count - 2) / 6)
+			this.grow(b[i].points, (count - 2) / 6)
+		}
+
+		return [a, b]
+	},
+	fill: function (a, b) { // adds collapsed subpaths to a
+		var last = a.length ? a[a.length - 1].points : [0, 0],
+		    x = last[last.length - 2],
+		    y = last[last.length - 1]
+
+		while (a.length < b.length) {
+			a.push({points: [x, y, x, y, x, y, x, y], closed: b[a.length].closed})
+		}
+	},
+	clone: function (path) {
+		return path.map(function (subpath) {
+			return {points: subpath.points.slice(), closed: subpath.closed}
+		})
+	},
+	interpolate: function (a, b, p) {
+		return a.map(function (subpath, i) {
+			var to = b[i].points
+
+			return {
+				points: subpath.points.map(function (v, j) {
+					return v + (to[j] - v) * p
+				}),
+				closed: p < 1 ? subpath.closed && b[i].closed : b[i].closed
+			}
+		})
+	},
+	stringify: function (path) {
+		return path.map(function (subpath) {
+			var points = subpath.points.map(function (v) {
+				return +v.toFixed(3)
+			})
+
+			return 'M' + points.slice(0, 2).join(' ') +
+				'C' + points.slice(2).join(' ') +
+				(subpath.closed ? 'Z' : '')
+		}).join('')
+	}
+}
@@ -0,0 +1,97 @@
+/**
+ * Quaternion object for rotation calculations
+ * quaternions are [x, y, z, w] arrays
+ * @type {Object}
+ */
+var Quaternion = {
+	identity: function () {
+		return [0, 0, 0, 1]
+	},
+	fromEuler: function (ax, ay, az) {
+		if (Array.isArray(ax)) {
+			ay = ax[1]
+			az = ax[2]
+			ax = ax[0]
+		}
+		return this.fromMatrix(Matrix.rotate(ax, ay, az))
+	},
+	toEuler: function (q) {
+		return Matrix.decompose(this.toMatrix(q)).rotate
+	},
+	fromMatrix: function (m) { // supports only rotation matrix
+		var trace = m[0] + m[5] + m[10],
+		    s, x, y, z, w
+
+		if (trace > 0) {
+			s = Math.sqrt(trace + 1) * 2
+			w = s / 4
+			x = (m[6] - m[9]) / s
+			y = (m[8] - m[2]) / s
+			z = (m[1] - m[4]) / s
+		} else if (m[0] > m[5] && m[0] > m[10]) {
+			s = Math.sqrt(1 + m[0] - m[5] - m[10]) * 2
+			w = (m[6] - m[9]) / s
+			x = s / 4
+			y = (m[4] + m[1]) / s
+			z = (m[8] + m[2]) / s
+		} else if (m[5] > m[10]) {
+			s = Math.sqrt(1 + m[5] - m[0] - m[10]) * 2
+			w = (m[8] - m[2]) / s
+			x = (m[4] + m[1]) / s
+			y = s / 4
+			z = (m[9] + m[6]) / s
+		} else {
+			s = Math.sqrt(1 + m[10] - m[0] - m[5]) * 2
+			w = (m[1] - m[4]) / s
+			x = (m[8] + m[2]) / s
+			y = (m[9] + m[6]) / s
+			z = s / 4
+		}
+
+		return this.norm([x, y, z, w])
+	},
+	toMatrix: function (q) {
+		var x = q[0], y = q[1], z = q[2], w = q[3]
+
+		return [1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+		        2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+		        2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+		        0, 0, 0, 1]
+	},
+	dot: function (a, b) {
+		return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]
+	},
+	norm: function (q) {
+		var len = Math.sqrt(this.dot(q, q))
+
+		if (len === 0) return this.identity()
+
+		return [q[0] / len, q[1] / len, q[2] / len, q[3] / len]
+	},
+	slerp: function (a, b, t) { // always takes the shortest path
+		var cos = this.dot(a, b)
+
+		if (cos < 0) {
+			b = [-b[0], -b[1], -b[2], -b[3]]
+			cos = -cos
+		}
+
+		var ka = 1 - t,
+		    kb = t
+
+		if (cos < 0.9999) { // linear interpolation is enough for close rotations
+			var angle = Math.acos(cos),
+			    sin = Math.sin(angle)
+
+			ka = Math.sin((1 - t) * angle) / sin
+			kb = Math.sin(t * angle) / sin
+		}
+
+		return this.norm([
+			a[0] * ka + b[0] * kb,
+			a[1] * ka + b[1] * kb,
+			a[2] * ka + b[2] * kb,
+			a[3] * ka + b[3] * kb
+		])
+	}
+}
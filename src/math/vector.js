@@ -61,12 +61,15 @@ var Vector = {
 		    dy = a[1] - b[1],
 		    dz = a[2] - b[2]
 
-		return Math.sqrt(dx * dx + dy * dy + dz + dz)
+		return Math.sqrt(dx * dx + dy * dy + dz * dz)
+	},
+	dot: function (a, b) {
+		return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
 	},
 	cross: function (a, b) {
 		var x = a[1] * b[2] - a[2] * b[1],
 		    y = a[2] * b[0] - a[0] * b[2],
-		    z = a[1] * b[1] - a[1] * b[0]
+		    z = a[0] * b[1] - a[1] * b[0]
 
 		return [x, y, z]
 	},
@@ -82,6 +85,13 @@ var Vector = {
 		}
 		return [x * f, y * f, z * f]
 	},
+	transform: function (v, m) { // applies affine matrix to point
+		return [
+			v[0] * m[0] + v[1] * m[4] + v[2] * m[8] + m[12],
+			v[0] * m[1] + v[1] * m[5] + v[2] * m[9] + m[13],
+			v[0] * m[2] + v[1] * m[6] + v[2] * m[10] + m[14]
+		]
+	},
 	zero: function () {
 		return [0, 0, 0]
 	}
@@ -0,0 +1,173 @@
+/**
+ * Makes particle follow the pointer and throws it on release
+ * @param {Particle} particle
+ * @param {Object=} options axis ('x' or 'y') and bounds {min, max}, particle edge by default
+ * @constructor
+ */
+function Drag(particle, options) {
+	options || (options = {})
+
+	this.particle = particle
+	this.axis = options.axis || null
+	this.bounds = options.bounds || particle.edge || null
+
+	this.pointer = null
+	this.start = null
+	this.origin = null
+	this.samples = []
+
+	var self = this
+
+	this.down = function (e) {
+		self.pointer === null && self.begin(e)
+	}
+	this.move = function (e) {
+		e.pointerId === self.pointer && self.drag(e)
+	}
+	this.up = function (e) {
+		e.pointerId === self.pointer && self.end(e)
+	}
+
+	var node = particle.dom
+	this.touchAction = node.style.touchAction // restored on destroy
+	node.style.touchAction = this.axis === 'x' ? 'pan-y' : this.axis === 'y' ? 'pan-x' : 'none'
+	node.addEventListener('pointerdown', this.down, false)
+	node.addEventListener('pointermove', this.move, false)
+	node.addEventListener('pointerup', this.up, false)
+	node.addEventListener('pointercancel', this.up, false)
+}
+
+/**
+ * Time window for release velocity in ms
+ * @type {number}
+ */
+Drag.window = 100
+
+/**
+ * Starts dragging
+ * @param {PointerEvent} e
+ * @fires Particle#dragstart
+ */
+Drag.prototype.begin = function (e) {
+	var particle = this.particle
+
+	this.pointer = e.pointerId
+	particle.dom.setPointerCapture && particle.dom.setPointerCapture(e.pointerId)
+
+	particle.stop()
+	particle.dragging = true
+	particle.thrown = false
+
+	this.start = particle.toLocal([e.clientX, e.clientY, 0])
+	this.origin = Vector.clone(particle.current.position)
+	this.samples = []
+	this.sample(e.timeStamp, this.origin)
+
+	particle.emit('dragstart', e)
+}
+
+/**
+ * Moves particle to the pointer
+ * @param {PointerEvent} e
+ * @fires Particle#drag
+ */
+Drag.prototype.drag = function (e) {
+	var particle = this.particle,
+	    position = this.position(e)
+
+	particle.set('translate', position)
+	particle.current.position = Vector.clone(position)
+	particle.previous.position = Vector.clone(position)
+	this.sample(e.timeStamp, position)
+
+	particle.emit('drag', e)
+}
+
+/**
+ * Releases particle with pointer velocity
+ * @param {PointerEvent} e
+ * @fires Particle#dragend
+ */
+Drag.prototype.end = function (e) {
+	var particle = this.particle
+
+	this.sample(e.timeStamp, Vector.clone(particle.current.position)) // holding still throws at zero velocity
+
+	var velocity = this.velocity(),
+	    step = particle.delta ? particle.delta * 1000 : 1000 / 60
+
+	this.pointer = null
+	particle.dragging = false
+
+	if (particle.motion() !== 'none') {
+		particle.previous.position = Vector.sub(particle.current.position, Vector.scale(velocity, step))
+		particle.thrown = true
+	}
+
+	particle.emit('dragend', e, velocity)
+	!particle.thrown && particle.emit('rest')
+}
+
+/**
+ * Gets particle position for the pointer
+ * @param {PointerEvent} e
+ * @return {Array}
+ */
+Drag.prototype.position = function (e) {
+	var delta = Vector.sub(this.particle.toLocal([e.clientX, e.clientY, 0]), this.start)
+
+	this.axis === 'x' && (delta[1] = 0)
+	this.axis === 'y' && (delta[0] = 0)
+	delta[2] = 0
+
+	var position = Vector.add(this.origin, delta)
+
+	if (this.bounds) {
+		var min = Vector.set(this.bounds.min),
+		    max = Vector.set(this.bounds.max)
+
+		for (var i = 0; i < 3; ++i) {
+			position[i] = Math.max(min[i], Math.min(max[i], position[i]))
+		}
+	}
+
+	return position
+}
+
+/**
+ * Records pointer position, drops samples older than the velocity window
+ * @param {number} time
+ * @param {Array} position
+ */
+Drag.prototype.sample = function (time, position) {
+	this.samples.push({time: time, position: position})
+	while (this.samples.length > 1 && time - this.samples[0].time > Drag.window) {
+		this.samples.shift()
+	}
+}
+
+/**
+ * Gets pointer velocity in px per ms
+ * @return {Array}
+ */
+Drag.prototype.velocity = function () {
+	var first = this.samples[0],
+	    last = this.samples[this.samples.length - 1],
+	    time = last.time - first.time
+
+	return time > 0 ? Vector.scale(Vector.sub(last.position, first.position), 1 / time) : Vector.zero()
+}
+
+/**
+ * Removes pointer handlers and restores touch action
+ */
+Drag.prototype.destroy = function () {
+	var node = this.particle.dom
+
+	node.style.touchAction = this.touchAction
+	node.removeEventListener('pointerdown', this.down, false)
+	node.removeEventListener('pointermove', this.move, false)
+	node.removeEventListener('pointerup', this.up, false)
+	node.removeEventListener('pointercancel', this.up, false)
+	this.particle.dragging = false
+}
@@ -7,7 +7,7 @@
 function Edge(min, max, bounce) {
 	min || (min = Vector.set(0))
 	max || (max = Vector.set(0))
-	bounce || (bounce = true)
+	bounce === undefined && (bounce = true)
 
 	for (var i = 0; i < 3; ++i) {
 		if (this.current.position[i] < min[i] || this.current.position[i] > max[i]) {
@@ -11,6 +11,7 @@ function Particle(node, mass, viscosity, edge) {
 	if (mass === Object(mass)) {
 		viscosity = mass.viscosity
 		edge = mass.edge
+		mass.space && (this.space = mass.space)
 		mass = mass.mass
 	}
 
@@ -37,35 +38,95 @@ function Particle(node, mass, viscosity, edge) {
 	}
 
 	this.clock = null
+	this.delta = 0
+
+	this.drag = null
+	this.dragging = false
+	this.thrown = false
+
+	this.place()
 }
 
 Particle.prototype = Object.create(Item.prototype)
 Particle.prototype.constructor = Particle
 
 /**
- * Updates particle and applies integration
+ * Distance per step below which particle is at rest
+ * @type {number}
+ */
+Particle.threshold = 1e-3
+
+/**
+ * Updates particle, integration is done by World
  * @param {number} tick
  */
 Particle.prototype.update = function (tick) {
+	if (!this.running) return
+	tick = this.advance(tick)
+
+	this.animation.length && (this.thrown = false)
 	this.animation.run(tick)
+}
 
-	this.integrate(tick)
+/**
+ * Reads transform and places particle at its translate,
+ * so physics starts from the node position
+ */
+Particle.prototype.place = function () {
+	Animation.readState(this, Animation.transform)
 
-	this.style()
+	this.current.position = Vector.clone(this.state.translate)
+	this.previous.position = Vector.clone(this.state.translate)
+}
+
+/**
+ * Makes particle draggable with inertial throwing
+ * @param {Object|boolean=} options axis ('x' or 'y') and bounds {min, max}, false disables dragging
+ * @return {Particle}
+ */
+Particle.prototype.draggable = function (options) {
+	this.drag && this.drag.destroy()
+	this.drag = options === false ? null : new Drag(this, options)
+	return this
 }
 
 Particle.prototype.timeline = function (tick) {
+	tick *= this.playbackRate
 	this.clear()
+	this.seeked = tick
 	this.animation.seek(tick)
 
 	this.integrate(tick, true)
+}
 
-	this.style()
+/**
+ * Checks if particle is settled on timeline, it is integrated till it rests
+ * @param {number} tick
+ * @return {boolean}
+ */
+Particle.prototype.settled = function (tick) {
+	return Item.prototype.settled.call(this, tick) && !this.awake()
+}
+
+/**
+ * Reads state, children are rendered on every frame like the particle
+ */
+Particle.prototype.read = function () {
+	Item.prototype.read.call(this)
+	this.invalidate()
 }
 
 /**
- * Integrates particle
- * @param {number} delta
+ * Renders particle on every frame, position changes with physics
+ */
+Particle.prototype.render = function () {
+	!this.culled && this.draw()
+}
+
+/**
+ * Integrates particle on timeline
+ * @param {number} tick
+ * @param {boolean=} clamp Clamps delta to one frame
  */
 Particle.prototype.integrate = function (tick, clamp) {
 	this.clock || (this.clock = tick)
@@ -77,13 +138,54 @@ Particle.prototype.integrate = function (tick, clamp) {
 
 		this.clock = tick
 
-		delta *= 0.001
+		this.simulate(delta)
+	}
+}
+
+/**
+ * Makes one physics step
+ * @param {number} delta Step in ms
+ */
+Particle.prototype.simulate = function (delta) {
+	var motion = this.motion(),
+	    edge = this.edge
 
-		Constant.call(this)
-		this.edge && Edge.call(this, Vector.set(this.edge.min), Vector.set(this.edge.max), this.edge.bounce)
+	if (!this.state.translate) return // nothing to follow before the first animation
 
-		Verlet.call(this, delta, 1.0 - this.viscosity)
+	if (this.dragging) { // pointer moves it
+		this.previous.position = this.current.position
+		return
 	}
+
+	if (motion === 'none') { // jumps to the target
+		this.current.position = Vector.clone(this.state.translate)
+		edge && Edge.call(this, Vector.set(edge.min), Vector.set(edge.max), false)
+		this.previous.position = this.current.position
+		return
+	}
+
+	delta *= 0.001
+
+	!this.thrown && Constant.call(this)
+	edge && Edge.call(this, Vector.set(edge.min), Vector.set(edge.max), motion === 'full' && edge.bounce)
+
+	Verlet.call(this, delta, 1.0 - this.viscosity, this.delta)
+
+	this.delta = delta
+
+	if (this.thrown && !this.awake()) {
+		this.thrown = false
+		this.set('translate', Vector.clone(this.current.position))
+		this.emit('rest')
+	}
+}
+
+/**
+ * Removes drag handlers and destroys particle
+ */
+Particle.prototype.destroy = function () {
+	this.draggable(false)
+	Item.prototype.destroy.call(this)
 }
 
 Particle.prototype.css = function () {
@@ -97,6 +199,26 @@ Particle.prototype.css = function () {
 Particle.prototype.matrix = function () {
 	var state = this.state
 	return Matrix.compose(
-		this.current.position, state.rotate, state.scale
+		this.position(), state.rotate, state.scale, state.skew, state.perspective
 	)
 }
+
+/**
+ * Gets rendered position interpolated between physics steps
+ * @returns {Array}
+ */
+Particle.prototype.position = function () {
+	var alpha = this.world ? this.world.alpha : 1,
+	    current = this.current.position,
+	    previous = this.previous.position
+
+	return Vector.add(previous, Vector.scale(Vector.sub(current, previous), alpha))
+}
+
+/**
+ * Checks if particle is still moving
+ * @returns {boolean}
+ */
+Particle.prototype.awake = function () {
+	return Vector.length(Vector.sub(this.current.position, this.previous.position)) > Particle.threshold
+}
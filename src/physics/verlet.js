@@ -1,10 +1,11 @@
 /**
  * Velocity Verlet Integrator
  * @param {number} delta
- * @param {number} drag
+ * @param {number} drag Per 1/60 of a second
+ * @param {number=} last Previous delta, corrects velocity when delta changes
  * @constructor
  */
-function Verlet(delta, drag) {
+function Verlet(delta, drag, last) {
 	// velocity = position - old_position
 	// position = position + (velocity + acceleration * delta * delta)
 	var current = this.current,
@@ -13,8 +14,12 @@ function Verlet(delta, drag) {
 	current.acceleration = Vector.scale(current.acceleration, this.mass)
 	current.velocity = Vector.sub(current.position, previous.position)
 
+	if (last > 0 && delta > 0) {
+		current.velocity = Vector.scale(current.velocity, delta / last)
+	}
+
 	if (drag !== undefined) {
-		current.velocity = Vector.scale(current.velocity, drag)
+		current.velocity = Vector.scale(current.velocity, Math.pow(drag, Math.abs(delta) * 60))
 	}
 
 	previous.position = current.position
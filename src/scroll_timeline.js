@@ -0,0 +1,166 @@
+/**
+ * Creates Timeline driven by scroll position
+ * @param {Object=} options Timeline options and
+ * @param {HTMLElement=} options.container Scroll container, page by default
+ * @param {string=} options.axis 'x' or 'y', defaults to 'y'
+ * @param {number=} options.duration Timeline time at the end offset, defaults to 1000
+ * @param {number|HTMLElement|Object=} options.start Scroll offset in px, element
+ * or {element, edge, viewport, offset}, page start by default
+ * @param {number|HTMLElement|Object=} options.end Scroll offset, page end by default
+ * @param {number=} options.smooth Smoothing time in ms
+ * @constructor
+ */
+function ScrollTimeline(options) {
+	options || (options = {})
+
+	this.container = options.container || null
+	this.axis = options.axis || 'y'
+	this.duration = options.duration || 1000
+	this.smooth = options.smooth || 0
+	this.offsets = {start: options.start, end: options.end}
+	this.start = 0
+	this.end = 0
+	this.extent = 0
+	this.delta = 0
+
+	var self = this
+	this.resize = function () {
+		self.refresh()
+	}
+	root.addEventListener && root.addEventListener('resize', this.resize, false)
+
+	Timeline.call(this, options)
+	this.refresh()
+}
+
+ScrollTimeline.prototype = Object.create(Timeline.prototype)
+ScrollTimeline.prototype.constructor = ScrollTimeline
+
+/**
+ * Moves the Timeline to the scroll position and updates it
+ * @param {number} time
+ * @return {ScrollTimeline}
+ */
+ScrollTimeline.prototype.advanceTo = function (time) {
+	var previous = this.time
+
+	this.clock.time = time
+	this.advance(time)
+	this.delta = previous === null ? 0 : this.time - previous
+	this.size() !== this.extent && this.refresh() // content changed without resize
+	this.scroll(this.delta)
+	this.update(this.currentTime)
+	return this
+}
+
+/**
+ * Seeks to the time of the scroll position
+ * @param {number} delta Time since the last frame
+ */
+ScrollTimeline.prototype.scroll = function (delta) {
+	var target = this.progress() * this.duration,
+	    time = target
+
+	if (this.smooth && delta > 0) {
+		time = this.currentTime + (target - this.currentTime) * (1 - Math.exp(-delta / this.smooth))
+		Math.abs(target - time) < 0.5 && (time = target)
+	}
+
+	time !== this.currentTime && this.seek(time)
+}
+
+/**
+ * Gets scroll progress between start and end offsets
+ * @return {number}
+ */
+ScrollTimeline.prototype.progress = function () {
+	var range = this.end - this.start
+
+	if (range <= 0) return this.position() >= this.end ? 1 : 0
+	return Math.max(0, Math.min(1, (this.position() - this.start) / range))
+}
+
+/**
+ * Gets scroll position
+ * @return {number}
+ */
+ScrollTimeline.prototype.position = function () {
+	var y = this.axis === 'y'
+
+	if (this.container) {
+		return y ? this.container.scrollTop : this.container.scrollLeft
+	}
+	return y ? root.pageYOffset : root.pageXOffset
+}
+
+/**
+ * Gets visible size of the container
+ * @return {number}
+ */
+ScrollTimeline.prototype.viewport = function () {
+	var y = this.axis === 'y'
+
+	if (this.container) {
+		return y ? this.container.clientHeight : this.container.clientWidth
+	}
+	return y ? root.innerHeight : root.innerWidth
+}
+
+/**
+ * Gets scroll size of the content
+ * @return {number}
+ */
+ScrollTimeline.prototype.size = function () {
+	var node = this.container || document.documentElement
+
+	return this.axis === 'y' ? node.scrollHeight : node.scrollWidth
+}
+
+/**
+ * Measures start and end offsets, is called on resize
+ * and when content size changes
+ * @return {ScrollTimeline}
+ */
+ScrollTimeline.prototype.refresh = function () {
+	this.extent = this.size()
+
+	var max = this.extent - this.viewport()
+
+	this.start = this.offset(this.offsets.start, 0, 1, 0)
+	this.end = this.offset(this.offsets.end, 1, 0, Math.max(0, max))
+	this.changed = 0
+	return this
+}
+
+/**
+ * Gets scroll position of the offset
+ * @param {number|HTMLElement|Object=} offset
+ * @param {number} edge Default element edge, 0 is start and 1 is end of the element
+ * @param {number} viewport Default viewport edge the element edge is aligned to
+ * @param {number} fallback Used when offset is not set
+ * @return {number}
+ */
+ScrollTimeline.prototype.offset = function (offset, edge, viewport, fallback) {
+	if (offset == null) return fallback
+	if (typeof offset === 'number') return offset
+
+	offset.getBoundingClientRect && (offset = {element: offset})
+
+	var y = this.axis === 'y',
+	    rect = offset.element.getBoundingClientRect(),
+	    container = this.container ? this.container.getBoundingClientRect() : {top: 0, left: 0},
+	    position = (y ? rect.top - container.top : rect.left - container.left) + this.position()
+
+	offset.edge != null && (edge = offset.edge)
+	offset.viewport != null && (viewport = offset.viewport)
+
+	return position + edge * (y ? rect.height : rect.width) - viewport * this.viewport() + (offset.offset || 0)
+}
+
+/**
+ * Destroys the Timeline and removes resize handler
+ */
+ScrollTimeline.prototype.destroy = function () {
+	World.prototype.destroy.call(this)
+	root.removeEventListener && root.removeEventListener('resize', this.resize, false)
+}
@@ -0,0 +1,158 @@
+/**
+ * Creates render target for SVG element,
+ * state is written to attributes and transform is written to transform attribute
+ * @param {SVGElement} node
+ * @constructor
+ */
+function SvgTarget(node) {
+	Target.call(this, node)
+	this.original = {} // attribute values before the first write
+}
+
+SvgTarget.prototype = Object.create(Target.prototype)
+SvgTarget.prototype.constructor = SvgTarget
+
+SvgTarget.ns = 'http://www.w3.org/2000/svg'
+
+/**
+ * Attributes which names are not hyphenated
+ * @type {Object}
+ */
+SvgTarget.camel = {viewBox: null, pathLength: null, textLength: null, startOffset: null, preserveAspectRatio: null}
+
+/**
+ * Gets attribute name for state property
+ * @param {string} property
+ * @return {string}
+ */
+SvgTarget.attribute = function (property) {
+	if (property in SvgTarget.camel) return property
+	return property.replace(/[A-Z]/g, function (letter) {
+		return '-' + letter.toLowerCase()
+	})
+}
+
+/**
+ * Formats state value for attribute
+ * @param {Array|number|string} value
+ * @return {string}
+ */
+SvgTarget.format = function (value) {
+	return Array.isArray(value) ? value.join(' ') : String(value)
+}
+
+/**
+ * Sets item state from element attributes
+ * @param {Item} item
+ * @param {string} property
+ */
+SvgTarget.prototype.read = function (item, property) {
+	var node = this.object,
+	    value
+
+	if (property in Animation.transform) {
+		var transform = node.transform && node.transform.baseVal.consolidate()
+
+		value = transform ? SvgTarget.matrix(transform.matrix) : Animation.defaults()
+		for (var key in Animation.transform) {
+			item.set(key, value[key])
+		}
+	} else if (property === 'origin') {
+		item.set('origin', Vector.zero())
+	} else {
+		if (Tween.propTypes[property] !== Tween.COLOR) {
+			value = node.getAttribute(SvgTarget.attribute(property))
+		}
+		if (value == null) { // presentation attributes are in computed style
+			value = getComputedStyle(node, null)[property]
+		}
+		item.set(property, value == null || value === '' ? 0 : SvgTarget.parse(value, property))
+	}
+}
+
+/**
+ * Parses numeric attribute values, lists like viewBox become arrays
+ * @param {string} value
+ * @param {string} property
+ * @return {Array|number|string}
+ */
+SvgTarget.parse = function (value, property) {
+	if (Tween.propTypes[property] === Tween.COLOR) return value
+
+	var numeric = Tween.parseNumeric(String(value).replace(/,/g, ' '))
+
+	return [].concat(numeric).every(isFinite) ? numeric : value
+}
+
+/**
+ * Decomposes SVG matrix
+ * @param {SVGMatrix} m
+ * @return {Object}
+ */
+SvgTarget.matrix = function (m) {
+	return Matrix.decompose([
+		m.a, m.b, 0, 0,
+		m.c, m.d, 0, 0,
+		0, 0, 1, 0,
+		m.e, m.f, 0, 1
+	])
+}
+
+/**
+ * Writes item state to attributes
+ * @param {Item} item
+ */
+SvgTarget.prototype.render = function (item) {
+	var state = item.state
+
+	for (var property in state) {
+		if (property in Animation.transform || property === 'origin') continue
+		this.write(item, SvgTarget.attribute(property), SvgTarget.format(state[property]))
+	}
+
+	if (state.translate) {
+		this.write(item, 'transform', this.transform(item))
+	}
+}
+
+/**
+ * Sets attribute if it has changed
+ * @param {Item} item
+ * @param {string} name
+ * @param {string} value
+ */
+SvgTarget.prototype.write = function (item, name, value) {
+	if (item.rendered[name] === value) return
+	item.rendered[name] = value
+	name in this.original || (this.original[name] = this.object.getAttribute(name))
+	this.object.setAttribute(name, value)
+}
+
+/**
+ * Restores written attributes, removes the ones element didn't have
+ */
+SvgTarget.prototype.restore = function () {
+	for (var name in this.original) {
+		var value = this.original[name]
+		value === null ? this.object.removeAttribute(name) : this.object.setAttribute(name, value)
+	}
+	this.original = {}
+}
+
+/**
+ * Gets 2d transform attribute value, origin is applied to the matrix
+ * @param {Item} item
+ * @return {string}
+ */
+SvgTarget.prototype.transform = function (item) {
+	var m = item.renderMatrix(),
+	    origin = item.state.origin
+
+	if (origin) {
+		m = Matrix.multiply(
+			Matrix.translate(-origin[0], -origin[1], -origin[2]), m, Matrix.translate(origin[0], origin[1], origin[2])
+		)
+	}
+
+	return 'matrix(' + [m[0], m[1], m[4], m[5], m[12], m[13]].join(' ') + ')'
+}
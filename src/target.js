@@ -0,0 +1,99 @@
+/**
+ * Creates render target for a plain object,
+ * item reads initial values from the object and renders with onRender
+ * @param {Object} object
+ * @param {Function=} onRender Called with item state and the object,
+ * assigns state to the object by default
+ * @constructor
+ */
+function Target(object, onRender) {
+	this.object = object
+	this.onRender = onRender || Target.assign
+}
+
+/**
+ * Wraps node into target unless it is an HTML element
+ * @param {HTMLElement|SVGElement|Object|Target} node
+ * @return {Target|null}
+ */
+Target.wrap = function (node) {
+	if (node instanceof Target) return node
+	if (node.namespaceURI === SvgTarget.ns) return new SvgTarget(node)
+	return node.nodeType === 1 ? null : new Target(node)
+}
+
+/**
+ * Copies state values to the object,
+ * transform properties the object doesn't have are skipped while they are at defaults
+ * @param {Object} state
+ * @param {Object} object
+ */
+Target.assign = function (state, object) {
+	var defaults = Animation.defaults()
+
+	for (var property in state) {
+		var value = state[property]
+		if (!(property in object) && property in defaults && String(value) === String(defaults[property])) {
+			continue
+		}
+		if (Array.isArray(value) && Array.isArray(object[property])) { // keeps object arrays
+			for (var i = 0; i < value.length; ++i) {
+				object[property][i] = value[i]
+			}
+		} else {
+			object[property] = Target.clone(value)
+		}
+	}
+}
+
+/**
+ * Sets item state from object values
+ * @param {Item} item
+ * @param {string} property
+ */
+Target.prototype.read = function (item, property) {
+	var object = this.object,
+	    value
+
+	if (property in Animation.transform) {
+		value = Animation.defaults()
+		for (var key in Animation.transform) {
+			item.set(key, object[key] == null ? value[key] : Target.clone(object[key]))
+		}
+	} else if (property === 'origin') {
+		item.set('origin', object.origin == null ? Vector.zero() : Target.clone(object.origin))
+	} else {
+		item.set(property, Target.clone(object[property]))
+	}
+}
+
+/**
+ * Renders item state, particles are rendered at their simulated position
+ * @param {Item} item
+ */
+Target.prototype.render = function (item) {
+	var state = item.state
+
+	if (item instanceof Particle) {
+		state = {}
+		for (var property in item.state) {
+			state[property] = item.state[property]
+		}
+		state.translate = item.position()
+	}
+	this.onRender(state, this.object, item)
+}
+
+/**
+ * Restores object when item is destroyed, plain objects keep rendered values
+ */
+Target.prototype.restore = function () {}
+
+/**
+ * Copies array values, so the object is not changed by animation
+ * @param {*} value
+ * @return {*}
+ */
+Target.clone = function (value) {
+	return Array.isArray(value) ? value.slice() : value
+}
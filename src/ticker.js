@@ -0,0 +1,100 @@
+/**
+ * Creates new ticker, a frame loop shared by subscribers
+ * @param {Clock=} clock
+ * @constructor
+ */
+function Ticker(clock) {
+	EventEmitter.call(this)
+	this.clock = clock || new Clock
+	this.callbacks = []
+	this.frame = null
+	this.loop = 0
+}
+
+Ticker.prototype = Object.create(EventEmitter.prototype)
+Ticker.prototype.constructor = Ticker
+
+/**
+ * Adds callback to every frame
+ * callbacks with lower priority run first
+ * @param {Function} callback
+ * @param {number=} priority
+ * @return {Ticker}
+ */
+Ticker.prototype.add = function (callback, priority) {
+	priority || (priority = 0)
+
+	var i = this.callbacks.length
+	while (i > 0 && this.callbacks[i - 1].priority > priority) {
+		--i
+	}
+	this.callbacks.splice(i, 0, {callback: callback, priority: priority})
+
+	this.frame === null && this.run()
+	return this
+}
+
+/**
+ * Removes frame callback
+ * @param {Function} callback
+ * @return {Ticker}
+ */
+Ticker.prototype.remove = function (callback) {
+	for (var i = 0; i < this.callbacks.length; ++i) {
+		if (this.callbacks[i].callback === callback) {
+			this.callbacks.splice(i, 1)
+			break
+		}
+	}
+
+	!this.callbacks.length && this.cancel()
+	return this
+}
+
+/**
+ * Starts frame loop
+ * loop stops when it is cancelled or replaced by a new one
+ */
+Ticker.prototype.run = function () {
+	var self = this,
+	    loop = ++this.loop
+
+	this.frame = this.clock.request(update)
+
+	function update(tick) {
+		self.tick(tick)
+		if (self.frame !== null && self.loop === loop) {
+			self.frame = self.clock.request(update)
+		}
+	}
+}
+
+/**
+ * Cancels frame loop
+ */
+Ticker.prototype.cancel = function () {
+	this.frame && this.clock.cancel(this.frame)
+	this.frame = null
+}
+
+/**
+ * Runs all callbacks for the frame
+ * @param {number} tick
+ * @fires Ticker#tick
+ */
+Ticker.prototype.tick = function (tick) {
+	var callbacks = this.callbacks.slice()
+
+	this.clock.time = tick
+	for (var i = 0; i < callbacks.length; ++i) {
+		if (this.callbacks.indexOf(callbacks[i]) === -1) continue // removed in this frame
+		callbacks[i].callback(tick)
+	}
+	this.emit('tick', tick)
+}
+
+/**
+ * Ticker used by default
+ * @type {Ticker}
+ */
+Ticker.shared = new Ticker
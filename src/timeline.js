@@ -1,34 +1,31 @@
 /**
  * Creates new Timeline and start frame loop
+ * @param {Object=} options
  * @constructor
  */
-function Timeline() {
-	World.call(this, true)
+function Timeline(options) {
+	World.call(this, options)
 	this.currentTime = 0
-	this.start = 0
 }
 
 Timeline.prototype = Object.create(World.prototype)
 Timeline.prototype.constructor = Timeline
 
 /**
- * Starts new frame loop
+ * Moves the Timeline to the time and updates it
+ * @param {number} time
+ * @return {Timeline}
  */
-Timeline.prototype.run = function () {
-	this.frame = requestAnimationFrame(update)
-
-	var self = this
+Timeline.prototype.advanceTo = function (time) {
+	var previous = this.time
 
-	function update(tick) {
-		if (fixTick) {
-			tick = performance.now()
-		}
-		if (self.running) {
-			self.currentTime = tick - self.start
-		}
-		self.update(self.currentTime)
-		self.frame = requestAnimationFrame(update)
+	this.clock.time = time
+	this.advance(time)
+	if (this.running && previous !== null) {
+		this.currentTime += this.time - previous
 	}
+	this.update(this.currentTime)
+	return this
 }
 
 /**
@@ -37,16 +34,18 @@ Timeline.prototype.run = function () {
  * @fires Timeline#update
  */
 Timeline.prototype.update = function (tick) {
+	this.prune()
+	this.read()
 	for (var i = 0, length = this.items.length; i < length; ++i) {
 		var item = this.items[i]
-		if (this.changed < length || this.running) {
+		if (this.changed < length || this.running && !item.settled(tick)) {
 			item.timeline(tick)
-			this.changed++
 			this.emit('update', tick)
-		} else {
-			item.style()
 		}
 	}
+	this.changed < length && (this.changed = length)
+	this.solve()
+	this.write()
 }
 
 /**
@@ -54,7 +53,6 @@ Timeline.prototype.update = function (tick) {
  */
 Timeline.prototype.play = function () {
 	this.running = true
-	this.start = performance.now() - this.currentTime
 }
 
 /**
@@ -78,5 +76,17 @@ Timeline.prototype.stop = function () {
  */
 Timeline.prototype.seek = function (time) {
 	this.changed = 0
-	this.currentTime = time
+	this.currentTime = +time
+}
+
+/**
+ * Sets motion policy, it doesn't finish animations
+ * since Timeline is controlled by seeking
+ * @param {string} motion full, reduce or none
+ * @fires World#motion
+ */
+Timeline.prototype.setMotion = function (motion) {
+	if (this.motion === motion) return
+	this.motion = motion
+	this.emit('motion', motion)
 }
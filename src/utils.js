@@ -12,9 +12,21 @@ for (var i = 0; i < vendors.length && !requestAnimationFrame; i++) {
 						|| root[vendors[i] + 'CancelRequestAnimationFrame']
 }
 
-var prefix = ([].slice.call(getComputedStyle(document.documentElement, null))
+var performance = root.performance && root.performance.now ? root.performance : Date
+
+if (!requestAnimationFrame) { // headless environments
+	requestAnimationFrame = function (callback) {
+		return setTimeout(function () {
+			callback(performance.now())
+		}, 1000 / 60)
+	}
+	cancelAnimationFrame = clearTimeout
+}
+
+var prefix = root.document && ([].slice.call(getComputedStyle(document.documentElement, null))
     	.join('').match(/(-(moz|webkit|ms)-)transform/) || [])[1],
     transformProperty = getProperty('transform'),
+    transformOriginProperty = getProperty('transform-origin'),
     animationProperty = getProperty('animation'),
     fixTick
 
@@ -22,8 +34,6 @@ function getProperty(name) {
 	return prefix ? prefix + name : name
 }
 
-var performance = root.performance && root.performance.now ? root.performance : Date
-
 requestAnimationFrame(function(tick) {
 	fixTick = tick > 1e12 != performance.now() > 1e12
 })
@@ -1,32 +1,99 @@
 /**
  * Creates new world and start frame loop
+ * @param {Object=} options
+ * @param {Clock|Object=} options.clock
+ * @param {Ticker=} options.ticker Defaults to shared one
+ * @param {number=} options.priority Order in ticker
+ * @param {number=} options.timeScale
+ * @param {number=} options.timestep Physics step in ms
+ * @param {number=} options.maxSubsteps Physics steps per frame limit
+ * @param {boolean=} options.observe Pause when hidden and cull off-screen items
+ * @param {string=} options.motion Motion policy: full, reduce or none, defaults to user preference
  * @constructor
  */
-function World() {
+function World(options) {
 	EventEmitter.call(this)
+	options || (options = {})
 	this.items = []
 	this.frame = null
+	if (options.ticker) {
+		this.ticker = options.ticker
+	} else if (options.clock) {
+		this.ticker = new Ticker(options.clock instanceof Clock ? options.clock : new Clock(options.clock))
+	} else {
+		this.ticker = Ticker.shared
+	}
+	this.clock = this.ticker.clock
+	this.priority = options.priority || 0
+	this.timeScale = options.timeScale != null ? options.timeScale : 1
+	this.time = null
+	this.tick = null
+	this.timestep = options.timestep || 1000 / 60
+	this.maxSubsteps = options.maxSubsteps || 5
+	this.accumulator = 0
+	this.alpha = 1
+	this.suspended = false
+	this.paused = false
+	this.observer = null
+	this.visibility = null
+	this.motion = 'full'
+	this.preference = null
 	this.run()
+	options.observe && this.observe()
+	options.motion ? this.setMotion(options.motion) : this.preferMotion()
 }
 
 World.prototype = Object.create(EventEmitter.prototype)
 World.prototype.constructor = World
 
 /**
- * Starts new frame loop
+ * Subscribes to ticker frames
  */
 World.prototype.run = function () {
+	if (this.frame) return
+
 	var self = this
 
-	this.frame = requestAnimationFrame(update)
+	this.frame = function (tick) {
+		self.advanceTo(tick)
+	}
+	this.ticker.add(this.frame, this.priority)
+}
 
-	function update(tick) {
-		if (fixTick) {
-			tick = performance.now()
-		}
-		self.update(tick)
-		self.frame = requestAnimationFrame(update)
+/**
+ * Moves the World to the time and updates it
+ * @param {number} time
+ * @return {World}
+ */
+World.prototype.advanceTo = function (time) {
+	this.clock.time = time
+	this.update(time)
+	return this
+}
+
+/**
+ * Moves the World forward
+ * @param {number=} ms Defaults to one 60fps frame
+ * @return {World}
+ */
+World.prototype.step = function (ms) {
+	ms === undefined && (ms = 1000 / 60)
+	return this.advanceTo(this.clock.time + ms)
+}
+
+/**
+ * Converts clock time to World time scaled by timeScale
+ * @param {number} tick
+ * @return {number}
+ */
+World.prototype.advance = function (tick) {
+	if (this.time === null) {
+		this.time = tick
+	} else if (this.tick !== null) {
+		this.time += (tick - this.tick) * this.timeScale
 	}
+	this.tick = tick
+	return this.time
 }
 
 /**
@@ -34,17 +101,88 @@ World.prototype.run = function () {
  * @param {number} tick
  */
 World.prototype.update = function (tick) {
+	var time = this.time
+	this.prune()
+	tick = this.advance(tick)
+	this.read()
+	this.integrate(time === null ? 0 : tick - time, tick)
 	for (var i = 0; i < this.items.length; ++i) {
-		this.items[i].update(tick)
+		var item = this.items[i]
+		item.animation.length && item.update(tick) // finished items are skipped
 	}
+	this.solve()
+	this.write()
+}
+
+/**
+ * Applies constraints of all items after animations and physics
+ */
+World.prototype.solve = function () {
+	for (var i = 0; i < this.items.length; ++i) {
+		this.items[i].solve()
+	}
+}
+
+/**
+ * Reads DOM for all items before any style is written
+ */
+World.prototype.read = function () {
+	for (var i = 0; i < this.items.length; ++i) {
+		this.items[i].read()
+	}
+}
+
+/**
+ * Writes styles of all items,
+ * culled items are restored when their transform moves them into the viewport
+ * @fires World#render
+ */
+World.prototype.write = function () {
+	for (var i = 0; i < this.items.length; ++i) {
+		var item = this.items[i]
+		item.culled && item.dirty && item.visible() && this.cull(item, false)
+		item.render()
+	}
+	this.emit('render')
+}
+
+/**
+ * Integrates physics with fixed timestep
+ * the rest of the time is kept for the next frame
+ * and used to interpolate rendered positions
+ * @param {number} delta
+ * @param {number=} tick World time of the frame, particle animations
+ * are run at the time of every step, so physics doesn't depend on frame rate
+ */
+World.prototype.integrate = function (delta, tick) {
+	var steps = 0
+
+	this.accumulator += delta
+	while (this.accumulator >= this.timestep) {
+		if (steps++ === this.maxSubsteps) { // drops time after stalls
+			this.accumulator %= this.timestep
+			break
+		}
+		var time = tick - this.accumulator + this.timestep
+		for (var i = 0; i < this.items.length; ++i) {
+			var item = this.items[i]
+			if (item instanceof Particle && item.running) {
+				tick !== undefined && item.animation.length && item.update(time)
+				item.simulate(this.timestep * item.playbackRate)
+			}
+		}
+		this.accumulator -= this.timestep
+	}
+	this.alpha = this.accumulator / this.timestep
 }
 
 /**
  * Adds node to the animated world
- * @param {HTMLElement} node
+ * @param {HTMLElement|Object|Target} node Element, plain object or render target
  * @param {number=} mass
  * @param {number=} viscosity
  * @return {Item}
+ * @fires World#itemadded
  */
 World.prototype.add = function (node, mass, viscosity, edge) {
 	var item
@@ -53,16 +191,96 @@ World.prototype.add = function (node, mass, viscosity, edge) {
 	} else {
 		item = new Item(node)
 	}
+	item.world = this
 	this.items.push(item)
+	this.observer && item.dom.nodeType === 1 && this.observer.observe(item.dom)
+	this.emit('itemadded', item)
 	return item
 }
 
 /**
- * Cancels next frame
+ * Adds all nodes to the animated world
+ * @param {NodeList|Array} nodes
+ * @param {number=} mass
+ * @param {number=} viscosity
+ * @return {Group}
+ */
+World.prototype.addAll = function (nodes, mass, viscosity, edge) {
+	var items = []
+	for (var i = 0; i < nodes.length; ++i) {
+		items.push(this.add(nodes[i], mass, viscosity, edge))
+	}
+	return new Group(items)
+}
+
+/**
+ * Animates layout change of items done by mutate
+ * @param {Array=} items Defaults to all items
+ * @param {Function} mutate Changes DOM layout
+ * @param {number} duration
+ * @param {string} ease
+ * @return {Array} Sequences of items
+ */
+World.prototype.flip = function (items, mutate, duration, ease) {
+	if (typeof items === 'function') {
+		ease = duration
+		duration = mutate
+		mutate = items
+		items = null
+	}
+	return Item.flip(items || this.items.slice(), mutate, duration, ease)
+}
+
+/**
+ * Removes item from the world, its running animations are aborted
+ * @param {Item|HTMLElement} item Item or its node
+ * @return {Item|null}
+ * @fires World#itemremoved
+ */
+World.prototype.remove = function (item) {
+	var index = this.indexOf(item)
+	if (index === -1) return null
+
+	item = this.items.splice(index, 1)[0]
+	item.animation.length && item.stop() // settles finished promises
+	item.world = null
+	this.observer && item.dom.nodeType === 1 && this.observer.unobserve(item.dom)
+	this.emit('itemremoved', item)
+	return item
+}
+
+/**
+ * Finds item index
+ * @param {Item|HTMLElement|Target} item Item, its node or render target
+ * @return {number}
+ */
+World.prototype.indexOf = function (item) {
+	for (var i = 0; i < this.items.length; ++i) {
+		var other = this.items[i]
+		if (other === item || other.dom === item || other.target && other.target === item) {
+			return i
+		}
+	}
+	return -1
+}
+
+/**
+ * Removes items with nodes detached from the document
+ */
+World.prototype.prune = function () {
+	for (var i = this.items.length - 1; i >= 0; --i) {
+		if (this.items[i].detached()) {
+			this.remove(this.items[i])
+		}
+	}
+}
+
+/**
+ * Unsubscribes from ticker frames
  */
 World.prototype.cancel = function () {
-	this.frame && cancelAnimationFrame(this.frame)
-	this.frame = 0
+	this.frame && this.ticker.remove(this.frame)
+	this.frame = null
 }
 
 /**
@@ -75,10 +293,26 @@ World.prototype.stop = function () {
 	}
 }
 
+/**
+ * Unsubscribes the World from frames, page visibility and motion preference
+ */
+World.prototype.destroy = function () {
+	this.unobserve()
+	this.cancel()
+	if (this.preference) {
+		var query = this.preference.query,
+		    change = this.preference.change
+
+		query.removeEventListener ? query.removeEventListener('change', change) : query.removeListener(change)
+		this.preference = null
+	}
+}
+
 /**
  * Pauses all animations
  */
 World.prototype.pause = function () {
+	this.paused = true
 	this.cancel()
 	for (var i = 0; i < this.items.length; ++i) {
 		this.items[i].pause()
@@ -89,8 +323,144 @@ World.prototype.pause = function () {
  * Resumes all animations
  */
 World.prototype.resume = function () {
+	this.paused = false
+	if (this.suspended) return // resumed when woken
+
+	this.tick = this.clock.now()
 	for (var i = 0; i < this.items.length; ++i) {
 		this.items[i].resume()
 	}
 	this.run()
 }
+
+/**
+ * Pauses the World while the page is hidden
+ * and skips rendering of off-screen items
+ * @return {World}
+ */
+World.prototype.observe = function () {
+	if (this.visibility) return this
+
+	var self = this
+
+	this.visibility = function () {
+		document.hidden ? self.suspend() : self.wake()
+	}
+	document.addEventListener('visibilitychange', this.visibility, false)
+
+	if (root.IntersectionObserver) {
+		this.observer = new IntersectionObserver(function (entries) {
+			for (var i = 0; i < entries.length; ++i) {
+				var index = self.indexOf(entries[i].target)
+				index !== -1 && self.cull(self.items[index], !entries[i].isIntersecting, entries[i])
+			}
+		})
+		for (var i = 0; i < this.items.length; ++i) {
+			this.items[i].dom.nodeType === 1 && this.observer.observe(this.items[i].dom)
+		}
+	}
+
+	document.hidden && this.suspend()
+
+	return this
+}
+
+/**
+ * Stops observing page visibility and items
+ * @return {World}
+ */
+World.prototype.unobserve = function () {
+	if (!this.visibility) return this
+
+	document.removeEventListener('visibilitychange', this.visibility, false)
+	this.visibility = null
+
+	if (this.observer) {
+		this.observer.disconnect()
+		this.observer = null
+	}
+
+	for (var i = 0; i < this.items.length; ++i) {
+		this.cull(this.items[i], false)
+	}
+	this.wake()
+
+	return this
+}
+
+/**
+ * Pauses the World till it is woken
+ * @fires World#suspend
+ */
+World.prototype.suspend = function () {
+	if (this.suspended) return
+	if (!this.paused) {
+		World.prototype.pause.call(this)
+		this.paused = false // paused by the page, not by the user
+	}
+	this.suspended = true
+	this.emit('suspend')
+}
+
+/**
+ * Resumes suspended World unless it was paused by the user
+ * @fires World#wake
+ */
+World.prototype.wake = function () {
+	if (!this.suspended) return
+	this.suspended = false
+	!this.paused && World.prototype.resume.call(this)
+	this.emit('wake')
+}
+
+/**
+ * Skips or restores item rendering
+ * @param {Item} item
+ * @param {boolean} culled
+ * @param {IntersectionObserverEntry=} entry Box of the culled item and the viewport
+ * @fires World#itemculled
+ * @fires World#itemrestored
+ */
+World.prototype.cull = function (item, culled, entry) {
+	if (item.culled === culled) return
+	item.culled = culled
+	item.bounds = culled && entry ? {
+		rect: entry.boundingClientRect,
+		viewport: entry.rootBounds,
+		matrix: item.renderMatrix()
+	} : null
+	this.emit(culled ? 'itemculled' : 'itemrestored', item)
+}
+
+/**
+ * Sets motion policy and applies it to running animations,
+ * full motion restores their original timing
+ * @param {string} motion full, reduce or none
+ * @fires World#motion
+ */
+World.prototype.setMotion = function (motion) {
+	if (this.motion === motion) return
+	this.motion = motion
+	for (var i = 0; i < this.items.length; ++i) {
+		this.items[i].animation.reduce(motion)
+	}
+	this.emit('motion', motion)
+}
+
+/**
+ * Follows prefers-reduced-motion media query
+ */
+World.prototype.preferMotion = function () {
+	if (!root.matchMedia || this.preference) return
+
+	var self = this,
+	    query = matchMedia('(prefers-reduced-motion: reduce)')
+
+	function change() {
+		self.setMotion(query.matches ? 'reduce' : 'full')
+	}
+
+	query.addEventListener ? query.addEventListener('change', change) : query.addListener(change)
+	this.preference = {query: query, change: change} // removed on destroy
+	change()
+}